@@ -0,0 +1,14 @@
+import cron from "node-cron";
+import { refreshAllLeaderboards } from "../services/leaderboardService.js";
+
+// Recompute leaderboard snapshots so requests don't aggregate the ledger
+export const refreshLeaderboards = () => {
+  cron.schedule("*/15 * * * *", async () => {
+    try {
+      const refreshed = await refreshAllLeaderboards();
+      console.log(`Leaderboards refreshed: ${refreshed} boards`);
+    } catch (error) {
+      console.error("Leaderboard refresh error:", error.message);
+    }
+  });
+};
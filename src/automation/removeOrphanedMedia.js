@@ -0,0 +1,17 @@
+import cron from "node-cron";
+import { sweepOrphanedMedia } from "../services/mediaGarbageCollector.js";
+
+// Nightly sweep of stored media that no report references any more
+export const removeOrphanedMedia = () => {
+  cron.schedule("0 3 * * *", async () => {
+    try {
+      const result = await sweepOrphanedMedia();
+      console.log(
+        `Media cleanup: ${result.deleted.length} orphans deleted, ` +
+        `${result.failed.length} failed, ${result.withinGracePeriod.length} within grace period`
+      );
+    } catch (error) {
+      console.error("Media cleanup error:", error.message);
+    }
+  });
+};
@@ -5,19 +5,38 @@ import Report from "../models/Report.js";
 import User from "../models/User.js";
 import Worker from "../models/Worker.js";
 import Attendance from "../models/Attendance.js";
+import Invitation from "../models/Invitation.js";
 import moment from 'moment-timezone';
+import { REPORT_POINTS } from "../utils/reportPoints.js";
+import { WASTE_CATEGORIES } from "../utils/wasteTaxonomy.js";
+import { holdReportPoints, revokeReportPoints, revalueReportPoints } from "../services/reportPointsService.js";
+import { OPEN_REPORT_STATUSES, linkDuplicate, unlinkDuplicate } from "../services/duplicateService.js";
+import { recordStatusEvent, getReportTimeline } from "../services/reportTimelineService.js";
+import { assertTransition, transitionReport } from "../services/reportStateMachine.js";
+import { sweepOrphanedMedia } from "../services/mediaGarbageCollector.js";
+import { checkGeofence, getGeofenceMode } from "../utils/geofence.js";
+import { createInvitation, sendInvitation } from "../services/invitationService.js";
 
 // Get all reports with images and locations
 export const getAllReports = catchAsyncError(async (req, res, next) => {
   // ADD 'search' TO THE DESTRUCTURED PARAMETERS
-  const { status, type, page = 1, limit = 20, search } = req.query; 
+  const { status, type, category, verification, resolutionFlagged, page = 1, limit = 20, search } = req.query; 
   const skip = (page - 1) * limit;
     const filter = {};
   // Add 'rejected' as valid status
-  if (status && ['pending', 'in-progress', 'resolved', 'permanent-resolved', 'rejected','out-of-scope'].includes(status)) {
+  if (status && ['needs-review', 'discarded', 'duplicate', 'pending', 'in-progress', 'resolved', 'permanent-resolved', 'rejected','out-of-scope', 'disputed'].includes(status)) {
     filter.status = status;
   }
   if (type) filter.reportType = type;  
+  if (category) filter.category = category;
+  // Filter by AI verification tier (e.g. ?verification=forced to spot forced submissions)
+  if (verification && ['high_confidence', 'medium_confidence', 'unverified', 'forced'].includes(verification)) {
+    filter['aiVerification.verification'] = verification;
+  }
+  // Resolutions whose "after" photo still shows waste
+  if (resolutionFlagged === 'true') {
+    filter['resolutionVerification.flagged'] = true;
+  }
   // Add search functionality - NOW 'search' IS DEFINED
 if (search) {
   filter.$or = [
@@ -61,26 +80,58 @@ export const getAllUsers = catchAsyncError(async (req, res, next) => {
 // Get report details with images and geo-data
 export const getReportDetails = catchAsyncError(async (req, res, next) => {
   const report = await Report.findById(req.params.id)
+    .select('+media.exif')
     .populate('user', 'username email profileImage')
     .populate('assignedTo', 'username profileImage')
       .populate('assignedBy', 'username profileImage')
     .populate('resolvedBy', 'username profileImage')
     .populate('permanentlyResolvedBy', 'username email profileImage')
-     .populate('outOfScopeBy', 'username email profileImage');
+     .populate('outOfScopeBy', 'username email profileImage')
+    .populate('duplicateOf', 'title status createdAt')
+    .populate('confirmations.user', 'username profileImage');
 
   if (!report) return next(new ErrorHandler("Report not found", 404));
 
+  const timeline = await getReportTimeline(report._id);
+
   res.status(200).json({
     success: true,
+    timeline,
     report: {
       ...report._doc,
       userImage: report.user?.profileImage,
       resolvedImage: report.resolvedImage,
       resolvedLocation: report.resolvedLocation,
-      userLocation: report.location
+      userLocation: report.location,
+      aiVerification: report.aiVerification,
+      resolutionVerification: report.resolutionVerification,
+      // Waste confidence before (reported) and after (resolved), side by side
+      verificationComparison: {
+        before: report.aiVerification?.confidence ?? null,
+        after: report.resolutionVerification?.confidence ?? null,
+        flagged: Boolean(report.resolutionVerification?.flagged)
+      }
     }
   });
 });
+// Average citizen rating of the reports a supervisor resolved
+async function getSupervisorRatings(supervisorId) {
+  const [stats] = await Report.aggregate([
+    { $match: { resolvedBy: supervisorId, 'rating.score': { $exists: true } } },
+    {
+      $group: {
+        _id: null,
+        averageRating: { $avg: '$rating.score' },
+        ratingCount: { $sum: 1 }
+      }
+    }
+  ]);
+  return {
+    averageRating: stats ? Math.round(stats.averageRating * 10) / 10 : null,
+    ratingCount: stats?.ratingCount || 0
+  };
+}
+
 // Update getSupervisors
 export const getSupervisors = catchAsyncError(async (req, res, next) => {
   const supervisors = await User.find({ role: 'supervisor' })
@@ -88,12 +139,13 @@ export const getSupervisors = catchAsyncError(async (req, res, next) => {
     .lean();
 
   const stats = await Promise.all(supervisors.map(async (sup) => {
-    const [resolved, permanentResolved, rejected, outOfScope, workersCount] = await Promise.all([
+    const [resolved, permanentResolved, rejected, outOfScope, workersCount, ratings] = await Promise.all([
       Report.countDocuments({ resolvedBy: sup._id, status: 'resolved' }),
       Report.countDocuments({ resolvedBy: sup._id, status: 'permanent-resolved' }),
       Report.countDocuments({ resolvedBy: sup._id, status: 'rejected' }),
       Report.countDocuments({ resolvedBy: sup._id, status: 'out-of-scope' }),
-      Worker.countDocuments({ supervisor: sup._id })
+      Worker.countDocuments({ supervisor: sup._id }),
+      getSupervisorRatings(sup._id)
     ]);
     
     // Calculate performance rating
@@ -116,7 +168,9 @@ export const getSupervisors = catchAsyncError(async (req, res, next) => {
       outOfScopeReports: outOfScope,
       workersCount,
       performance,
-      successRate
+      successRate,
+      averageRating: ratings.averageRating,
+      ratingCount: ratings.ratingCount
     };
   }));
 
@@ -124,6 +178,9 @@ export const getSupervisors = catchAsyncError(async (req, res, next) => {
 });
 export const getSupervisorPerformance = catchAsyncError(async (req, res, next) => {
   const supervisorId = req.params.id;
+  if (!mongoose.Types.ObjectId.isValid(supervisorId)) {
+    return next(new ErrorHandler('Invalid supervisor ID', 400));
+  }
   
   const [
     inProgress,
@@ -131,14 +188,16 @@ export const getSupervisorPerformance = catchAsyncError(async (req, res, next) =
     rejected,
     permanentResolved,
     workersCount,
-    outOfScope
+    outOfScope,
+    ratings
   ] = await Promise.all([
     Report.countDocuments({ assignedTo: supervisorId, status: 'in-progress' }),
     Report.countDocuments({ resolvedBy: supervisorId, status: 'resolved' }),
     Report.countDocuments({ resolvedBy: supervisorId, status: 'rejected' }),
     Report.countDocuments({ resolvedBy: supervisorId, status: 'permanent-resolved' }),
     Worker.countDocuments({ supervisor: supervisorId }),
-    Report.countDocuments({ resolvedBy: supervisorId, status: 'out-of-scope' }) 
+    Report.countDocuments({ resolvedBy: supervisorId, status: 'out-of-scope' }),
+    getSupervisorRatings(new mongoose.Types.ObjectId(supervisorId))
   ]);
   // Enhanced performance calculation
   const totalHandled = resolved + rejected + permanentResolved + outOfScope;
@@ -161,7 +220,9 @@ export const getSupervisorPerformance = catchAsyncError(async (req, res, next) =
       permanentResolved, 
       workersCount,
       outOfScope,
-      successRate
+      successRate,
+      averageRating: ratings.averageRating,
+      ratingCount: ratings.ratingCount
     },
     performance
   });
@@ -326,17 +387,21 @@ export const getReportStatusCounts = catchAsyncError(async (req, res, next) => {
     resolved,
     permanentResolved,
     rejected,
-    outOfScope
+    outOfScope,
+    needsReview,
+    disputed
   ] = await Promise.all([
     Report.countDocuments({ status: 'pending' }),
     Report.countDocuments({ status: 'in-progress' }),
     Report.countDocuments({ status: 'resolved' }),
     Report.countDocuments({ status: 'permanent-resolved' }),
     Report.countDocuments({ status: 'rejected' }),
-    Report.countDocuments({ status: 'out-of-scope' }) 
+    Report.countDocuments({ status: 'out-of-scope' }),
+    Report.countDocuments({ status: 'needs-review' }),
+    Report.countDocuments({ status: 'disputed' })
   ]);
   // Calculate total including new status
-  const total = pending + inProgress + resolved + permanentResolved + rejected + outOfScope;
+  const total = pending + inProgress + resolved + permanentResolved + rejected + outOfScope + needsReview + disputed;
   res.status(200).json({
     success: true,
     counts: {
@@ -346,48 +411,97 @@ export const getReportStatusCounts = catchAsyncError(async (req, res, next) => {
       permanentResolved,
       rejected,
       outOfScope, // Added to response
+      needsReview,
+      disputed,
       total
     }
   });
 });
 
+// Supervisors are onboarded by invitation and choose their own password
 export const createSupervisor = catchAsyncError(async (req, res, next) => {
-  const { username, email, password } = req.body;
-  // Validate required fields
-  if (!username || !email || !password) {
-    return next(new ErrorHandler("All fields are required", 400));
-  }
-  // Check for existing verified user
-  const existingUser = await User.findOne({ 
-    email,
-    accountVerified: true
+  const { email } = req.body;
+  const { invitation } = await createInvitation({ email, role: 'supervisor', inviter: req.user });
+  res.status(201).json({
+    success: true,
+    message: `Invitation sent to ${invitation.email}`,
+    invitation
+  });
+});
+
+export const inviteStaff = catchAsyncError(async (req, res, next) => {
+  const { email, role } = req.body;
+  const { invitation } = await createInvitation({ email, role, inviter: req.user });
+  res.status(201).json({
+    success: true,
+    message: `Invitation sent to ${invitation.email}`,
+    invitation
+  });
+});
+
+export const getInvitations = catchAsyncError(async (req, res, next) => {
+  const { status, role, page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+  const now = new Date();
+  const filter = {};
+  if (role) filter.role = role;
+  // Mirrors the Invitation status virtual
+  if (status === 'accepted') filter.acceptedAt = { $exists: true };
+  if (status === 'revoked') Object.assign(filter, { acceptedAt: { $exists: false }, revokedAt: { $exists: true } });
+  if (status === 'expired') Object.assign(filter, { acceptedAt: { $exists: false }, revokedAt: { $exists: false }, expiresAt: { $lt: now } });
+  if (status === 'pending') Object.assign(filter, { acceptedAt: { $exists: false }, revokedAt: { $exists: false }, expiresAt: { $gte: now } });
+  const invitations = await Invitation.find(filter)
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('invitedBy', 'username email')
+    .populate('acceptedUser', 'username email')
+    .sort({ createdAt: -1 });
+  const total = await Invitation.countDocuments(filter);
+  res.status(200).json({
+    success: true,
+    invitations,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: parseInt(page)
   });
-  if (existingUser) {
-    return next(new ErrorHandler("Email is already registered", 400));
+});
+
+// Email a fresh link; the previous link stops working. Expired invitations can be resent.
+export const resendInvitation = catchAsyncError(async (req, res, next) => {
+  const invitation = await Invitation.findById(req.params.id);
+  if (!invitation) {
+    return next(new ErrorHandler("Invitation not found", 404));
   }
-  // Create supervisor profile
-  const profileImage = `https://api.dicebear.com/7.x/avataaars/png?seed=${username}`;
-  const user = await User.create({
-    username,
-    email,
-    password,
-    profileImage,
-    role: 'supervisor',
-    accountVerified: true
+  if (invitation.acceptedAt || invitation.revokedAt) {
+    return next(new ErrorHandler(`Invitation has already been ${invitation.status}`, 409));
+  }
+  await sendInvitation(invitation, req.user);
+  res.status(200).json({
+    success: true,
+    message: `Invitation resent to ${invitation.email}`,
+    invitation
   });
-  res.status(201).json({
+});
+
+export const revokeInvitation = catchAsyncError(async (req, res, next) => {
+  const invitation = await Invitation.findById(req.params.id);
+  if (!invitation) {
+    return next(new ErrorHandler("Invitation not found", 404));
+  }
+  if (invitation.acceptedAt || invitation.revokedAt) {
+    return next(new ErrorHandler(`Invitation has already been ${invitation.status}`, 409));
+  }
+  invitation.revokedAt = new Date();
+  invitation.revokedBy = req.user._id;
+  invitation.tokenHash = undefined;
+  await invitation.save();
+  res.status(200).json({
     success: true,
-    message: 'Supervisor account created successfully',
-    user: {
-      _id: user._id,
-      username: user.username,
-      email: user.email,
-      role: user.role,
-      profileImage: user.profileImage
-    }
+    message: "Invitation revoked",
+    invitation
   });
 });
-//function for deleting supervisors
+
 export const deleteSupervisor = catchAsyncError(async (req, res, next) => {
   const { id } = req.params;
   // Validate ID format
@@ -428,31 +542,29 @@ export const markAsPermanentResolved = catchAsyncError(async (req, res, next) =>
     return next(new ErrorHandler("Report not found", 404));
   }
   // Check if report is in resolved status
-  if (report.status !== 'resolved') {
-    return next(new ErrorHandler("Report must be resolved first", 400));
-  }
+  assertTransition(report, 'permanent-resolved', req.user);
   // Check if both locations exist
   if (!report.location?.coordinates || !report.resolvedLocation?.coordinates) {
     return next(new ErrorHandler("Location data missing", 400));
   }
-  // Extract coordinates
-  const [lng1, lat1] = report.location.coordinates; // Reported
-  const [lng2, lat2] = report.resolvedLocation.coordinates; // Resolved
-  // Calculate distance in meters
-  const distance = calculateDistance(lat1, lng1, lat2, lng2);  
-  // Strict 10-meter requirement
-  if (distance > 10) {
+  // Calculate distance in meters against the tolerance for this report type.
+  // In warn mode the resolution was already flagged, so the admin decides.
+  const { distance, tolerance, withinTolerance } = checkGeofence(report, report.resolvedLocation.coordinates);
+  if (!withinTolerance && getGeofenceMode() === 'block') {
     return next(new ErrorHandler(
-      `Resolved location is ${distance.toFixed(2)} meters away - must be within 10 meters`, 
-      400
+      `Resolved location is ${distance.toFixed(2)} meters away - must be within ${tolerance} meters`, 
+      400,
+      'GEOFENCE_EXCEEDED'
     ));
   }
   // Update report
-  report.status = 'permanent-resolved';
   report.distanceToReported = distance; // Store the distance
   report.permanentlyResolvedAt = new Date();
   report.permanentlyResolvedBy = adminId;
-  await report.save();
+  await transitionReport(report, 'permanent-resolved', {
+    actor: req.user,
+    note: `Resolved location ${distance.toFixed(2)} meters from reported location`
+  });
   res.status(200).json({
     success: true,
     message: "Report permanently resolved",
@@ -461,22 +573,6 @@ export const markAsPermanentResolved = catchAsyncError(async (req, res, next) =>
   });
 });
 
-// Helper function to calculate distance (in meters)
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth radius in km
-  const dLat = deg2rad(lat2 - lat1);
-  const dLon = deg2rad(lon2 - lon1);
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a)); 
-  return R * c * 1000; // Convert to meters
-}
-
-function deg2rad(deg) {
-  return deg * (Math.PI/180);
-}
 // Reject report with reason
 export const rejectReport = catchAsyncError(async (req, res, next) => {
   const reportId = req.params.id;
@@ -486,15 +582,17 @@ export const rejectReport = catchAsyncError(async (req, res, next) => {
   if (!report) {
     return next(new ErrorHandler("Report not found", 404));
   }
-  if (report.status !== 'resolved') {
-    return next(new ErrorHandler("Report must be resolved first", 400));
-  }
+  // Only resolved reports can be rejected, with a reason
+  assertTransition(report, 'rejected', req.user, { reason });
   // Update report
-  report.status = 'rejected';
   report.rejectionReason = reason;
   report.rejectedAt = new Date();
   report.rejectedBy = adminId;
-  await report.save();
+  await transitionReport(report, 'rejected', {
+    actor: req.user,
+    details: { reason },
+    note: reason
+  });
   res.status(200).json({
     success: true,
     message: "Report rejected",
@@ -502,6 +600,285 @@ export const rejectReport = catchAsyncError(async (req, res, next) => {
   });
 });
 
+// Review queue: forced and low-confidence submissions awaiting moderation
+export const getReviewQueue = catchAsyncError(async (req, res, next) => {
+  const { reason, page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+  const filter = { status: 'needs-review' };
+  if (reason && ['forced', 'low_confidence', 'photo_mismatch'].includes(reason)) {
+    filter.reviewReason = reason;
+  }
+  const reports = await Report.find(filter)
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('user', 'username email profileImage')
+    .sort({ createdAt: 1 }); // Oldest first
+  const total = await Report.countDocuments(filter);
+  res.status(200).json({
+    success: true,
+    reports,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: parseInt(page)
+  });
+});
+
+// Approve a reviewed report: it joins the pending queue and the reporter's
+// points are held until it is assigned. The admin may confirm the type here.
+export const approveReviewReport = catchAsyncError(async (req, res, next) => {
+  const { reason, reportType } = req.body;
+  const report = await Report.findById(req.params.id);
+  if (!report) {
+    return next(new ErrorHandler("Report not found", 404));
+  }
+  if (report.status !== 'needs-review') {
+    return next(new ErrorHandler("Only reports awaiting review can be approved", 409));
+  }
+  if (reportType) {
+    if (!REPORT_POINTS[reportType]) {
+      return next(new ErrorHandler("Invalid report type", 400));
+    }
+    report.reportType = reportType;
+    report.reportTypeSource = 'admin';
+  }
+  report.reviewNote = reason;
+  report.reviewedBy = req.user._id;
+  report.reviewedAt = new Date();
+  const provisionalPoints = holdReportPoints(report);
+  await transitionReport(report, 'pending', {
+    actor: req.user,
+    note: reason
+  });
+  res.status(200).json({
+    success: true,
+    message: "Report approved",
+    provisionalPoints,
+    report
+  });
+});
+
+// Change a report's type (and optionally category). The reporter's held or
+// credited points follow the new type.
+export const reclassifyReport = catchAsyncError(async (req, res, next) => {
+  const { reportType, category, reason } = req.body;
+  if (!REPORT_POINTS[reportType]) {
+    return next(new ErrorHandler("Invalid report type", 400));
+  }
+  if (category && !WASTE_CATEGORIES.includes(category)) {
+    return next(new ErrorHandler("Invalid waste category", 400));
+  }
+  const report = await Report.findById(req.params.id);
+  if (!report) {
+    return next(new ErrorHandler("Report not found", 404));
+  }
+  const previousType = report.reportType;
+  const previousCategory = report.category;
+  report.reportType = reportType;
+  report.reportTypeSource = 'admin';
+  if (category) report.category = category;
+  const pointsChange = previousType === reportType
+    ? 0
+    : await revalueReportPoints(report, previousType, req.user);
+  await report.save();
+  // Keep a record on the timeline; the status itself doesn't change
+  const changes = [`type ${previousType} -> ${reportType}`];
+  if (category && category !== previousCategory) {
+    changes.push(`category ${previousCategory} -> ${category}`);
+  }
+  await recordStatusEvent({
+    report,
+    from: report.status,
+    to: report.status,
+    actor: req.user,
+    note: `Reclassified: ${changes.join(', ')}${reason ? ` (${reason})` : ''}`
+  });
+  res.status(200).json({
+    success: true,
+    message: "Report reclassified",
+    pointsChange,
+    report
+  });
+});
+
+// Discard a reviewed report without awarding points
+export const discardReviewReport = catchAsyncError(async (req, res, next) => {
+  const { reason, spam } = req.body;
+  const report = await Report.findById(req.params.id);
+  if (!report) {
+    return next(new ErrorHandler("Report not found", 404));
+  }
+  assertTransition(report, 'discarded', req.user, { reason });
+  report.reviewNote = reason;
+  report.reviewedBy = req.user._id;
+  report.reviewedAt = new Date();
+  report.markedAsSpam = Boolean(spam);
+  await transitionReport(report, 'discarded', {
+    actor: req.user,
+    details: { reason },
+    note: reason
+  });
+  res.status(200).json({
+    success: true,
+    message: "Report discarded",
+    report
+  });
+});
+
+// Merge a report into another open report as a "me too" confirmation
+export const mergeDuplicateReport = catchAsyncError(async (req, res, next) => {
+  const { originalId } = req.body;
+  if (!originalId) {
+    return next(new ErrorHandler("Original report ID is required", 400));
+  }
+  if (originalId === req.params.id) {
+    return next(new ErrorHandler("A report cannot be merged into itself", 400));
+  }
+  const [report, original] = await Promise.all([
+    Report.findById(req.params.id),
+    Report.findById(originalId)
+  ]);
+  if (!report || !original) {
+    return next(new ErrorHandler("Report not found", 404));
+  }
+  if (!OPEN_REPORT_STATUSES.includes(original.status)) {
+    return next(new ErrorHandler("Reports can only be merged into an open report", 409));
+  }
+  assertTransition(report, 'duplicate', req.user);
+  // Carry over confirmations already linked to the merged report
+  if (report.confirmations.length > 0) {
+    await Report.updateMany({ duplicateOf: report._id }, { duplicateOf: original._id });
+    await Report.findByIdAndUpdate(original._id, {
+      $push: { confirmations: { $each: report.confirmations } }
+    });
+    report.confirmations = [];
+  }
+  // Duplicates earn no points
+  await revokeReportPoints(report, req.user);
+  report.duplicateOf = original._id;
+  await transitionReport(report, 'duplicate', {
+    actor: req.user,
+    note: `Merged into ${original._id}`
+  });
+  await linkDuplicate(original, report);
+  res.status(200).json({
+    success: true,
+    message: "Report merged as duplicate",
+    report
+  });
+});
+
+// Split a linked duplicate back out into its own pending report
+export const splitDuplicateReport = catchAsyncError(async (req, res, next) => {
+  const report = await Report.findById(req.params.id);
+  if (!report) {
+    return next(new ErrorHandler("Report not found", 404));
+  }
+  // Unreviewed forced/low-confidence submissions go back to the review queue
+  const needsReview = report.reviewReason && !report.reviewedAt;
+  const targetStatus = needsReview ? 'needs-review' : 'pending';
+  assertTransition(report, targetStatus, req.user);
+  await unlinkDuplicate(report);
+  const originalId = report.duplicateOf;
+  report.duplicateOf = undefined;
+  const provisionalPoints = needsReview ? 0 : holdReportPoints(report);
+  await transitionReport(report, targetStatus, {
+    actor: req.user,
+    note: `Split from ${originalId}`
+  });
+  res.status(200).json({
+    success: true,
+    message: "Report split from duplicate",
+    provisionalPoints,
+    report
+  });
+});
+
+// Disputed resolutions with the original, resolved and dispute images side by side
+export const getDisputedReports = catchAsyncError(async (req, res, next) => {
+  const { page = 1, limit = 20 } = req.query;
+  const skip = (page - 1) * limit;
+  const filter = { status: 'disputed' };
+  const reports = await Report.find(filter)
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('user', 'username email profileImage')
+    .populate('resolvedBy', 'username email profileImage')
+    .sort({ 'dispute.disputedAt': 1 }); // Oldest first
+  const total = await Report.countDocuments(filter);
+  res.status(200).json({
+    success: true,
+    reports: reports.map(report => ({
+      ...report._doc,
+      images: {
+        original: report.image,
+        resolved: report.resolvedImage,
+        dispute: report.dispute?.image
+      }
+    })),
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: parseInt(page)
+  });
+});
+
+// Uphold a dispute: the report goes back to in-progress for the assigned supervisor
+export const reopenDisputedReport = catchAsyncError(async (req, res, next) => {
+  const { reason } = req.body;
+  const report = await Report.findById(req.params.id);
+  if (!report) {
+    return next(new ErrorHandler("Report not found", 404));
+  }
+  if (report.status !== 'disputed') {
+    return next(new ErrorHandler("Only disputed reports can be decided", 409, 'NOT_DISPUTED'));
+  }
+  assertTransition(report, 'in-progress', req.user);
+  report.dispute.outcome = 'reopened';
+  report.dispute.previousStatus = undefined; // Settled
+  report.dispute.outcomeNote = reason;
+  report.dispute.decidedBy = req.user._id;
+  report.dispute.decidedAt = new Date();
+  await transitionReport(report, 'in-progress', {
+    actor: req.user,
+    note: reason || 'Dispute upheld, report reopened'
+  });
+  res.status(200).json({
+    success: true,
+    message: "Report reopened",
+    report
+  });
+});
+
+// Dismiss a dispute: the report returns to its previous resolved status
+export const confirmDisputedResolution = catchAsyncError(async (req, res, next) => {
+  const { reason } = req.body;
+  const report = await Report.findById(req.params.id);
+  if (!report) {
+    return next(new ErrorHandler("Report not found", 404));
+  }
+  if (report.status !== 'disputed') {
+    return next(new ErrorHandler("Only disputed reports can be decided", 409, 'NOT_DISPUTED'));
+  }
+  // Disputes are only filed against resolved or permanently resolved reports
+  const restoredStatus = report.dispute?.previousStatus === 'permanent-resolved'
+    ? 'permanent-resolved'
+    : 'resolved';
+  assertTransition(report, restoredStatus, req.user);
+  report.dispute.outcome = 'confirmed';
+  report.dispute.previousStatus = undefined; // Settled
+  report.dispute.outcomeNote = reason;
+  report.dispute.decidedBy = req.user._id;
+  report.dispute.decidedAt = new Date();
+  await transitionReport(report, restoredStatus, {
+    actor: req.user,
+    note: reason || 'Dispute dismissed, resolution confirmed'
+  });
+  res.status(200).json({
+    success: true,
+    message: "Resolution confirmed",
+    report
+  });
+});
+
 export const assignReportsToSupervisor = catchAsyncError(async (req, res, next) => {
   const { supervisorId, reportIds, assignmentMessage } = req.body;
   const adminId = req.user._id;
@@ -526,7 +903,8 @@ export const assignReportsToSupervisor = catchAsyncError(async (req, res, next)
   // Process each report assignment
   const results = [];
   for (const reportId of reportIds) {
-    // Check report exists and is pending
+    // Check report exists and is pending; disputed and rejected reports are
+    // reopened through their own flows, not by assignment
     const report = await Report.findById(reportId);
     if (!report) {
       results.push({ reportId, status: 'failed', message: 'Report not found' });
@@ -536,13 +914,21 @@ export const assignReportsToSupervisor = catchAsyncError(async (req, res, next)
       results.push({ reportId, status: 'failed', message: 'Only pending reports can be assigned' });
       continue;
     }
+    try {
+      assertTransition(report, 'in-progress', req.user);
+    } catch (transitionError) {
+      results.push({ reportId, status: 'failed', message: transitionError.message });
+      continue;
+    }
     // Update report
-    report.status = 'in-progress';
     report.assignedTo = supervisorId;
     report.assignedBy = adminId;
     report.assignedAt = new Date();
     report.assignedMsg = assignmentMessage || "Assigned by admin";
-    await report.save();
+    await transitionReport(report, 'in-progress', {
+      actor: req.user,
+      note: `Assigned to ${supervisor.username}: ${report.assignedMsg}`
+    });
     results.push({ reportId, status: 'success' });
   }
   res.status(200).json({
@@ -562,6 +948,15 @@ export const populateReportDetails = (report) => {
     .populate('permanentlyResolvedBy', 'username email profileImage');
 };
 
+// Dry run of the orphaned media cleanup: what the nightly job would delete
+export const getOrphanedMedia = catchAsyncError(async (req, res, next) => {
+  const result = await sweepOrphanedMedia({ dryRun: true });
+  res.status(200).json({
+    success: true,
+    ...result
+  });
+});
+
 // Worker Management Controllers
 export const getAllWorkers = catchAsyncError(async (req, res, next) => {
   const { page = 1, limit = 20, search } = req.query;
@@ -690,9 +1085,27 @@ export const getReportDistribution = catchAsyncError(async (req, res, next) => {
       }
     }
   ]);
+  // Reports created before categories existed count as general waste
+  const categories = await Report.aggregate([
+    {
+      $group: {
+        _id: { $ifNull: ["$category", "general"] },
+        count: { $sum: 1 }
+      }
+    },
+    {
+      $project: {
+        category: "$_id",
+        count: 1,
+        _id: 0
+      }
+    },
+    { $sort: { count: -1 } }
+  ]);
   res.status(200).json({
     success: true,
-    distribution
+    distribution,
+    categories
   });
 });
 export const getSupervisorPerformanceAnalytics = catchAsyncError(async (req, res, next) => {
@@ -727,6 +1140,8 @@ export const getSupervisorPerformanceAnalytics = catchAsyncError(async (req, res
       const successRate = handledTotal > 0
         ? Math.round((resolved + permanent) / handledTotal * 100)
         : 0;
+      // 4) Citizen satisfaction with this supervisor's resolutions
+      const ratings = await getSupervisorRatings(supervisor._id);
       return {
         supervisor: supervisor.username,
         profileImage: supervisor.profileImage,
@@ -735,7 +1150,9 @@ export const getSupervisorPerformanceAnalytics = catchAsyncError(async (req, res
         permanentResolved: permanent,
         rejected,
         outOfScope,
-        successRate
+        successRate,
+        averageRating: ratings.averageRating,
+        ratingCount: ratings.ratingCount
       };
     })
   );
@@ -810,27 +1227,30 @@ export const getReportTrends = catchAsyncError(async (req, res, next) => {
             timezone: timeZone
           }
         },
-        status: 1
+        status: 1,
+        category: { $ifNull: ["$category", "general"] }
       }
     },
     {
       $group: {
-        _id: "$date",
+        _id: { date: "$date", category: "$category" },
         count: { $sum: 1 }
       }
     },
     {
-      $sort: { _id: 1 }
+      $sort: { "_id.date": 1 }
     }
   ]);
   // Fill in missing days with 0 counts
   const allDays = {};
   for (let i = 0; i < days; i++) {
     const date = moment(startDate).add(i, 'days').format('YYYY-MM-DD');
-    allDays[date] = { date, count: 0 };
+    allDays[date] = { date, count: 0, categories: {} };
   }
-  trends.forEach(day => {
-    allDays[day._id] = { date: day._id, count: day.count };
+  trends.forEach(({ _id, count }) => {
+    const day = allDays[_id.date] || (allDays[_id.date] = { date: _id.date, count: 0, categories: {} });
+    day.count += count;
+    day.categories[_id.category] = count;
   });
   const result = Object.values(allDays);
   res.status(200).json({
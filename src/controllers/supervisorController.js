@@ -1,50 +1,141 @@
 import Report from "../models/Report.js";
-import cloudinary from '../lib/cloudinary.js';
 import ErrorHandler from "../middleware/error.js";
 import { catchAsyncError } from "../middleware/catchAsyncError.js";
 import User from "../models/User.js";
 import Worker from "../models/Worker.js";
+import { getReportTimeline } from "../services/reportTimelineService.js";
+import { assertTransition, transitionReport } from "../services/reportStateMachine.js";
+import { normalizePhotos, validatePhotos, uploadPhotos } from "../utils/reportMedia.js";
+import classifyImage from "../services/classificationService.js";
+import { checkGeofence, getGeofenceMode } from "../utils/geofence.js";
+
+// "After" photos with waste confidence at or above this are flagged
+const RESOLUTION_WASTE_THRESHOLD = Number(process.env.RESOLUTION_WASTE_THRESHOLD) || 0.5;
 
 export const resolveReport = catchAsyncError(async (req, res, next) => {
-  const { image, latitude, longitude, address } = req.body;
+  const { image, images, photoTimestamp, latitude, longitude, accuracy, address } = req.body;
+  const photos = normalizePhotos({ image, images, photoTimestamp });
   
   // Validate required fields
-  if (!image || !latitude || !longitude || !address) {
+  if (photos.length === 0 || !latitude || !longitude || !address) {
     return next(new ErrorHandler("All resolution fields are required", 400));
   }
 
+  const photoError = validatePhotos(photos);
+  if (photoError) {
+    return next(new ErrorHandler(photoError.message, photoError.status));
+  }
+
+  // GPS accuracy of the resolve fix in meters (optional)
+  const resolvedAccuracy = accuracy === undefined || accuracy === null
+    ? undefined
+    : (accuracy === '' ? NaN : Number(accuracy));
+  if (resolvedAccuracy !== undefined && (!Number.isFinite(resolvedAccuracy) || resolvedAccuracy < 0)) {
+    return next(new ErrorHandler("Accuracy must be a non-negative number of meters", 400));
+  }
+
   const report = await Report.findById(req.params.id);
   if (!report) {
     return next(new ErrorHandler("Report not found", 404));
   }
 
-  // Upload resolution image to Cloudinary
-  const base64Data = image.replace(/^data:image\/\w+;base64,/, '');
-  const dataUri = `data:image/jpeg;base64,${base64Data}`;
-  
-  const uploadResponse = await cloudinary.uploader.upload(dataUri, {
-    resource_type: 'image',
-    folder: 'resolved-reports',
-    quality: 'auto:good'
-  });
+  // Check the transition before uploading anything
+  assertTransition(report, 'resolved', req.user, { image: photos[0].image });
+
+  // Check the supervisor is actually at the reported site while they are still there
+  const resolvedCoordinates = [parseFloat(longitude), parseFloat(latitude)];
+  if (resolvedCoordinates.some(isNaN)) {
+    return next(new ErrorHandler("Invalid coordinates", 400));
+  }
+  const geofence = checkGeofence(report, resolvedCoordinates);
+  if (!geofence.withinTolerance && getGeofenceMode() === 'block') {
+    return next(new ErrorHandler(
+      `You are ${geofence.distance.toFixed(2)} meters from the reported location - must be within ${geofence.tolerance} meters`,
+      400,
+      'GEOFENCE_EXCEEDED'
+    ));
+  }
+
+  // Confirm the waste is gone. A classifier outage doesn't block the
+  // resolution; the admin sees that it went unchecked.
+  let classifications = [];
+  let resolutionVerification;
+  try {
+    classifications = await Promise.all(photos.map(photo => classifyImage(photo.image)));
+    const worst = [...classifications].sort((a, b) => b.confidence - a.confidence)[0];
+    const wasteDetected = classifications.some(result =>
+      result.isWaste && result.confidence >= RESOLUTION_WASTE_THRESHOLD
+    );
+    resolutionVerification = {
+      wasteDetected,
+      confidence: worst.confidence,
+      verification: worst.verification,
+      modelVersion: worst.modelVersion,
+      classifiedAt: new Date(),
+      flagged: wasteDetected
+    };
+  } catch (error) {
+    resolutionVerification = {
+      classifiedAt: new Date(),
+      error: error.message
+    };
+  }
+
+  // Upload resolution images, in order
+  let resolvedMedia;
+  try {
+    resolvedMedia = await uploadPhotos(photos, {
+      folder: 'resolved-reports',
+      describe: (photo, index) => {
+        const photoClassification = classifications[index];
+        return {
+          classification: photoClassification && {
+            isWaste: photoClassification.isWaste,
+            confidence: photoClassification.confidence,
+            verification: photoClassification.verification
+          }
+        };
+      }
+    });
+  } catch (uploadError) {
+    return next(uploadError);
+  }
 
   // Update report with resolution data
-  report.resolvedImage = uploadResponse.secure_url;
-  report.resolvedPublicId = uploadResponse.public_id;
+  report.resolvedImage = resolvedMedia[0].url;
+  report.resolvedPublicId = resolvedMedia[0].publicId;
+  report.resolvedMedia = resolvedMedia;
+  report.resolutionVerification = resolutionVerification;
   report.resolvedLocation = {
     type: 'Point',
-    coordinates: [parseFloat(longitude), parseFloat(latitude)]
+    coordinates: resolvedCoordinates
   };
+  report.distanceToReported = geofence.distance;
+  report.resolvedLocationAccuracy = resolvedAccuracy;
+  report.geofenceExceeded = !geofence.withinTolerance;
   report.resolvedAddress = address;
   report.resolvedBy = req.user._id;
   report.resolvedAt = Date.now();
-  report.status = 'resolved';
 
-  await report.save();
+  await transitionReport(report, 'resolved', {
+    actor: req.user,
+    details: { image: photos[0].image },
+    note: resolutionVerification.flagged
+      ? `${address} (flagged: waste still detected in resolution photo)`
+      : address,
+    location: report.resolvedLocation
+  });
 
   res.status(200).json({
     success: true,
-    message: "Report resolved successfully",
+    message: resolutionVerification.flagged
+      ? "Report resolved, but waste is still detected in the photo. It has been flagged for admin review."
+      : "Report resolved successfully",
+    geofence: {
+      distance: geofence.distance,
+      tolerance: geofence.tolerance,
+      withinTolerance: geofence.withinTolerance
+    },
     report
   });
 });
@@ -58,12 +149,10 @@ export const updateReportStatus = catchAsyncError(async (req, res, next) => {
     return next(new ErrorHandler("Report not found", 404));
   }
 
-  const { status } = req.body;
+  const { status, reason, note, spam } = req.body;
   
-  // Validate allowed status transitions
-  if (status === 'resolved' && report.status !== 'in-progress') {
-    return next(new ErrorHandler("Report must be in progress before resolving", 400));
-  }
+  // Validate allowed status transitions (resolving goes through resolveReport)
+  assertTransition(report, status, req.user, { reason });
 
   // Track assignment when status changes to in-progress
   if (status === 'in-progress') {
@@ -72,20 +161,19 @@ export const updateReportStatus = catchAsyncError(async (req, res, next) => {
     report.assignedMsg = req.body.assignedMsg || "Assigned to supervisor";
   }
 
-  // Track rejection
-  if (status === 'rejected') {
-    report.rejectedBy = req.user._id;
-    report.rejectedAt = Date.now();
+  // Track out-of-scope
+  if (status === 'out-of-scope') {
+    report.outOfScopeReason = reason;
+    report.outOfScopeBy = req.user._id;
+    report.outOfScopeAt = Date.now();
+    report.markedAsSpam = Boolean(spam);
   }
 
-  // Track resolution
-  if (status === 'resolved') {
-    report.resolvedBy = req.user._id;
-    report.resolvedAt = Date.now();
-  }
-
-  report.status = status;
-  await report.save();
+  await transitionReport(report, status, {
+    actor: req.user,
+    details: { reason },
+    note: note || reason || (status === 'in-progress' ? report.assignedMsg : undefined)
+  });
 
   res.status(200).json({
     success: true,
@@ -145,7 +233,7 @@ export const getRejectedReports = catchAsyncError(async (req, res, next) => {
 
 export const getReportDetails = catchAsyncError(async (req, res, next) => {
   const report = await Report.findById(req.params.id)
-    .select('+assignedMsg')
+    .select('+assignedMsg +media.exif')
     .populate('user', 'username email profileImage')
     .populate('assignedTo', 'username email profileImage')
     .populate('resolvedBy', 'username email profileImage')
@@ -161,9 +249,12 @@ export const getReportDetails = catchAsyncError(async (req, res, next) => {
     report.rejectionReason = "No reason provided";
   }
 
+  const timeline = await getReportTimeline(report._id);
+
   res.status(200).json({
     success: true,
-    report
+    report,
+    timeline
   });
 });
 
@@ -171,28 +262,27 @@ export const getReportDetails = catchAsyncError(async (req, res, next) => {
 
 
 export const markAsOutOfScope = catchAsyncError(async (req, res, next) => {
-  const { reason } = req.body;
+  const { reason, spam } = req.body;
   const report = await Report.findById(req.params.id);
   
   if (!report) {
     return next(new ErrorHandler("Report not found", 404));
   }
   
-  // Only allow marking pending reports
-  if (report.status !== 'pending') {
-    return next(new ErrorHandler(
-      "Only pending reports can be marked as out-of-scope", 
-      400
-    ));
-  }
+  // Only pending reports can be marked out-of-scope
+  assertTransition(report, 'out-of-scope', req.user, { reason });
   
   // Update report fields to match your schema
-  report.status = 'out-of-scope';
   report.outOfScopeReason = reason;
   report.outOfScopeAt = Date.now();         // matches schema’s outOfScopeAt
   report.outOfScopeBy = req.user._id;       // matches schema’s outOfScopeBy
+  report.markedAsSpam = Boolean(spam);      // spam loses all points, not just part
   
-  await report.save();
+  await transitionReport(report, 'out-of-scope', {
+    actor: req.user,
+    details: { reason },
+    note: reason
+  });
   
   res.status(200).json({
     success: true,
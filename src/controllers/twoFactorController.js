@@ -0,0 +1,163 @@
+import { catchAsyncError } from "../middleware/catchAsyncError.js";
+import ErrorHandler from "../middleware/error.js";
+import User from "../models/User.js";
+import { sendToken } from "../utils/sendToken.js";
+import {
+  generateTotpSecret,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  verifyTotp
+} from "../utils/totp.js";
+import {
+  isTwoFactorRequired,
+  verifyLoginChallenge,
+  verifySecondFactor,
+  issueRecoveryCodes
+} from "../services/twoFactorService.js";
+import { checkAuthAttempts, recordFailedAttempt, clearFailedAttempts } from "../services/bruteForceService.js";
+
+const TWO_FACTOR_FIELDS = "+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep";
+
+export const getTwoFactorStatus = catchAsyncError(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select("+twoFactorRecoveryCodes");
+  res.status(200).json({
+    success: true,
+    enabled: user.twoFactorEnabled,
+    required: isTwoFactorRequired(user),
+    enabledAt: user.twoFactorEnabledAt,
+    recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0
+  });
+});
+
+// Start enrollment: a new secret for the authenticator app, active once confirmed
+export const setupTwoFactor = catchAsyncError(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+  if (user.twoFactorEnabled) {
+    return next(new ErrorHandler("Two-factor authentication is already enabled.", 409));
+  }
+
+  const secret = generateTotpSecret();
+  user.twoFactorPendingSecret = encryptSecret(secret);
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    otpauthUri: buildOtpauthUri(secret, user.email),
+    secret,
+    message: "Scan the code with your authenticator app, then confirm with a code."
+  });
+});
+
+// Confirm enrollment with a code from the app. When enrollment is part of a
+// login (required 2FA), the login completes here.
+export const activateTwoFactor = catchAsyncError(async (req, res, next) => {
+  const { code } = req.body;
+  const user = await User.findById(req.user._id).select(`${TWO_FACTOR_FIELDS} +tokenVersion`);
+  if (user.twoFactorEnabled) {
+    return next(new ErrorHandler("Two-factor authentication is already enabled.", 409));
+  }
+  if (!user.twoFactorPendingSecret) {
+    return next(new ErrorHandler("Start two-factor setup first.", 400));
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactorPendingSecret), code);
+  if (step === null) {
+    return next(new ErrorHandler("Invalid authentication code.", 400, "INVALID_2FA_CODE"));
+  }
+
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = new Date();
+  user.twoFactorLastUsedStep = step;
+  const recoveryCodes = issueRecoveryCodes(user);
+  await user.save({ validateBeforeSave: false });
+
+  if (req.twoFactorChallenge) {
+    return sendToken(user, 200, "Two-factor authentication enabled. Logged in successfully.", res, {
+      req,
+      client: req.twoFactorChallenge.client,
+      extra: { recoveryCodes }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+    recoveryCodes
+  });
+});
+
+// Second step of login: an authenticator code or a recovery code
+export const verifyTwoFactorLogin = catchAsyncError(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return next(new ErrorHandler("Challenge token and code are required.", 400));
+  }
+
+  const { user, client } = await verifyLoginChallenge(challengeToken, "verify");
+  const identity = { account: user.email, ip: req.ip };
+  const attemptError = await checkAuthAttempts("login_2fa", identity);
+  if (attemptError) {
+    return next(attemptError);
+  }
+  if (!verifySecondFactor(user, { code, recoveryCode })) {
+    await recordFailedAttempt("login_2fa", identity);
+    return next(new ErrorHandler("Invalid authentication code.", 401, "INVALID_2FA_CODE"));
+  }
+  await user.save({ validateBeforeSave: false });
+  await clearFailedAttempts("login_2fa", identity);
+
+  await sendToken(user, 200, "User logged in successfully.", res, {
+    req,
+    client,
+    extra: recoveryCode ? { recoveryCodesRemaining: user.twoFactorRecoveryCodes.length } : {}
+  });
+});
+
+export const disableTwoFactor = catchAsyncError(async (req, res, next) => {
+  const { code, recoveryCode } = req.body;
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+  if (!user.twoFactorEnabled) {
+    return next(new ErrorHandler("Two-factor authentication is not enabled.", 400));
+  }
+  if (isTwoFactorRequired(user)) {
+    return next(new ErrorHandler("Two-factor authentication is required for your role.", 403));
+  }
+  if (!verifySecondFactor(user, { code, recoveryCode })) {
+    return next(new ErrorHandler("Invalid authentication code.", 401, "INVALID_2FA_CODE"));
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorEnabledAt = undefined;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = [];
+  user.twoFactorLastUsedStep = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication disabled."
+  });
+});
+
+// Replace all recovery codes; requires a current authenticator code
+export const regenerateRecoveryCodes = catchAsyncError(async (req, res, next) => {
+  const { code } = req.body;
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+  if (!user.twoFactorEnabled) {
+    return next(new ErrorHandler("Two-factor authentication is not enabled.", 400));
+  }
+  if (!verifySecondFactor(user, { code })) {
+    return next(new ErrorHandler("Invalid authentication code.", 401, "INVALID_2FA_CODE"));
+  }
+
+  const recoveryCodes = issueRecoveryCodes(user);
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    recoveryCodes
+  });
+});
@@ -2,13 +2,22 @@ import ErrorHandler from "../middleware/error.js";
 import { catchAsyncError } from "../middleware/catchAsyncError.js";
 import User from "../models/User.js";
 import { sendEmail } from "../utils/sendEmail.js";
-import { sendToken } from "../utils/sendToken.js";
+import { sendToken, sendSessionTokens, REFRESH_COOKIE_PATH } from "../utils/sendToken.js";
+import { SESSION_CLIENTS, rotateRefreshToken, revokeSession, listActiveSessions, revokeOtherSessions } from "../services/sessionService.js";
+import Session from "../models/Session.js";
+import { isTwoFactorRequired, createLoginChallenge } from "../services/twoFactorService.js";
+import { checkAuthAttempts, recordFailedAttempt, clearFailedAttempts } from "../services/bruteForceService.js";
+import { verifyOtp } from "../utils/otp.js";
+import { verifyInvitationToken, acceptInvitation as acceptStaffInvitation } from "../services/invitationService.js";
 import { 
   generateVerificationTemplate, 
   generateResetOTPTemplate,
   generateWelcomeTemplate
 } from '../utils/emailTemplates.js';
 
+// Wrong guesses allowed per emailed code before it stops working
+const MAX_OTP_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+
 // export const register = catchAsyncError(async (req, res, next) => {
 //   try {
 //     const { username, email, password } = req.body;
@@ -190,20 +199,34 @@ export const verifyOTP = catchAsyncError(async (req, res, next) => {
       return next(new ErrorHandler("Invalid OTP format", 400));
     }
 
+    const identity = { account: email, ip: req.ip };
+    const attemptError = await checkAuthAttempts('verify_otp', identity);
+    if (attemptError) {
+      return next(attemptError);
+    }
+
     // Find unverified user
     const user = await User.findOne({ 
       email, 
       accountVerified: false 
-    });
+    }).select('+verificationCode');
 
     if (!user) {
+      await recordFailedAttempt('verify_otp', identity);
       return next(new ErrorHandler("No pending verification found. Please register first.", 404));
     }
 
-    const numericOTP = Number(otp);
-
-    // Verify OTP
-    if (user.verificationCode !== numericOTP) {
+    // Verify OTP. Too many wrong guesses burn the code.
+    if (!verifyOtp(otp, user.verificationCode)) {
+      await recordFailedAttempt('verify_otp', identity);
+      user.verificationAttempts = (user.verificationAttempts || 0) + 1;
+      if (user.verificationAttempts >= MAX_OTP_ATTEMPTS) {
+        user.verificationCode = undefined;
+        user.verificationCodeExpire = undefined;
+        await user.save({ validateBeforeSave: false });
+        return next(new ErrorHandler("Too many incorrect attempts. Please request a new code.", 400));
+      }
+      await user.save({ validateBeforeSave: false });
       return next(new ErrorHandler("Invalid OTP code", 400));
     }
 
@@ -219,9 +242,11 @@ export const verifyOTP = catchAsyncError(async (req, res, next) => {
     user.accountVerified = true;
     user.verificationCode = undefined;
     user.verificationCodeExpire = undefined;
+    user.verificationAttempts = 0;
     user.resendCount = 0;
     user.cooldownExpires = undefined;
     await user.save({ validateBeforeSave: false });
+    await clearFailedAttempts('verify_otp', identity);
 
     // Send success response WITHOUT token
     res.status(200).json({
@@ -325,6 +350,15 @@ export const login = catchAsyncError(async (req, res, next) => {
   if (!email || !password || !client) {
     return next(new ErrorHandler("Email, password, and client type are required.", 400));
   }
+  if (!SESSION_CLIENTS.includes(client)) {
+    return next(new ErrorHandler(`Client type must be one of: ${SESSION_CLIENTS.join(", ")}.`, 400));
+  }
+
+  const identity = { account: email, ip: req.ip };
+  const attemptError = await checkAuthAttempts('login', identity);
+  if (attemptError) {
+    return next(attemptError);
+  }
 
   // Find user by email (regardless of verification status)
   const user = await User.findOne({
@@ -333,6 +367,7 @@ export const login = catchAsyncError(async (req, res, next) => {
 
   // Check if user exists
   if (!user) {
+    await recordFailedAttempt('login', identity);
     return next(new ErrorHandler("No account found with this email address.", 400));
   }
 
@@ -344,8 +379,10 @@ export const login = catchAsyncError(async (req, res, next) => {
   // Verify password
   const isPasswordMatched = await user.comparePassword(password);
   if (!isPasswordMatched) {
+    await recordFailedAttempt('login', identity);
     return next(new ErrorHandler("Incorrect password. Please try again.", 400));
   }
+  await clearFailedAttempts('login', identity);
 
   // Validate role based on client type
   if (client === "mobile" && !["user", "supervisor"].includes(user.role)) {
@@ -377,8 +414,26 @@ export const login = catchAsyncError(async (req, res, next) => {
     }
   }
 
+  // Second factor: the token is only issued once it has been checked
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      success: true,
+      twoFactorRequired: true,
+      challengeToken: createLoginChallenge(user, client, 'verify'),
+      message: "Enter the code from your authenticator app."
+    });
+  }
+  if (isTwoFactorRequired(user)) {
+    return res.status(200).json({
+      success: true,
+      twoFactorSetupRequired: true,
+      challengeToken: createLoginChallenge(user, client, 'enroll'),
+      message: "Two-factor authentication must be set up for this account."
+    });
+  }
+
   // Send authentication token
-  sendToken(user, 200, "User logged in successfully.", res);
+  await sendToken(user, 200, "User logged in successfully.", res, { req, client });
 });
 
 // export const login = catchAsyncError(async (req, res, next) => {
@@ -429,65 +484,46 @@ export const login = catchAsyncError(async (req, res, next) => {
 //   // Send authentication token
 //   sendToken(user, 200, "User logged in successfully.", res);
 // });
-export const registerSupervisor = catchAsyncError(async (req, res, next) => {
-  const { username, email, password, secretKey } = req.body;
-  
-  // Validate secret key (store in .env)
-  if (secretKey !== process.env.SUPERVISOR_SECRET) {
-    return next(new ErrorHandler("Invalid supervisor key", 401));
-  }
-
-  // Same registration logic as regular user but with role
-  const profileImage = `https://api.dicebear.com/7.x/avataaars/png?seed=${username}`;
-  const user = await User.create({
-    username,
-    email,
-    password,
-    profileImage,
-    role: 'supervisor',
-    accountVerified: true // Skip email verification for supervisors
-  });
-
-  res.status(201).json({
+// Supervisors and admins join through an emailed invitation (see services/invitationService.js)
+export const verifyInvitation = catchAsyncError(async (req, res, next) => {
+  const { token } = req.body;
+  if (!token) {
+    return next(new ErrorHandler("Invitation token is required.", 400));
+  }
+  const invitation = await verifyInvitationToken(token);
+  res.status(200).json({
     success: true,
-    message: 'Supervisor account created'
+    invitation: {
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt
+    }
   });
 });
 
-export const registerAdmin = catchAsyncError(async (req, res, next) => {
-  const { username, email, password, secretKey } = req.body;
-  
-  // Validate secret key
-  if (secretKey !== process.env.ADMIN_SECRET_KEY) {
-    return next(new ErrorHandler("Invalid admin registration key", 401));
+export const acceptInvitation = catchAsyncError(async (req, res, next) => {
+  const { token, username, password } = req.body;
+  if (!token || !username || !password) {
+    return next(new ErrorHandler("Token, username and password are required.", 400));
   }
-
-  // Check for existing verified user
-  const existingUser = await User.findOne({ 
-    email,
-    accountVerified: true
-  });
-
-  if (existingUser) {
-    return next(new ErrorHandler("Email is already registered.", 400));
+  if (username.length < 3 || username.length > 32) {
+    return next(new ErrorHandler("Username must be between 3 and 32 characters.", 400));
+  }
+  if (password.length < 8 || password.length > 32) {
+    return next(new ErrorHandler("Password must be between 8 and 32 characters.", 400));
   }
 
-  // Create admin profile
-  const profileImage = `https://api.dicebear.com/7.x/avataaars/png?seed=${username}`;
-  
-  const user = await User.create({
-    username,
-    email,
-    password,
-    profileImage,
-    role: 'admin',
-    accountVerified: true // Skip verification for admins
-  });
-
+  const { user } = await acceptStaffInvitation(token, { username, password });
   res.status(201).json({
     success: true,
-    message: 'Admin account created successfully',
-    userId: user._id
+    message: `${user.role === 'admin' ? 'Admin' : 'Supervisor'} account created. You can now log in.`,
+    user: {
+      _id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      profileImage: user.profileImage
+    }
   });
 });
 
@@ -517,11 +553,19 @@ export const registerAdmin = catchAsyncError(async (req, res, next) => {
 // });
 
 export const logout = catchAsyncError(async (req, res, next) => {
-  // Increment token version
-  const user = await User.findById(req.user._id);
-  if (user) {
-    user.tokenVersion = (user.tokenVersion || 0) + 1;
-    await user.save({ validateBeforeSave: false });
+  if (req.sessionId) {
+    // End only this device's session
+    await Session.updateOne(
+      { _id: req.sessionId },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+  } else {
+    // Token from before sessions existed: increment token version
+    const user = await User.findById(req.user._id);
+    if (user) {
+      user.tokenVersion = (user.tokenVersion || 0) + 1;
+      await user.save({ validateBeforeSave: false });
+    }
   }
 
   res
@@ -532,12 +576,73 @@ export const logout = catchAsyncError(async (req, res, next) => {
       sameSite: "none",
       secure: true
     })
+    .cookie("refreshToken", "", {
+      expires: new Date(Date.now()),
+      httpOnly: true,
+      sameSite: "none",
+      secure: true,
+      path: REFRESH_COOKIE_PATH
+    })
     .json({
       success: true,
       message: "Logged out successfully.",
     });
 });
 
+// Swap a refresh token (body or cookie) for a new access/refresh token pair
+export const refreshToken = catchAsyncError(async (req, res, next) => {
+  const token = req.body.refreshToken || req.cookies?.refreshToken;
+  if (!token) {
+    return next(new ErrorHandler("Refresh token is required.", 400));
+  }
+
+  const { session, user, refreshToken: nextToken } = await rotateRefreshToken(token, req);
+  sendSessionTokens(user, session, nextToken, 200, "Token refreshed.", res);
+});
+
+// Devices the user is signed in on
+export const getSessions = catchAsyncError(async (req, res, next) => {
+  const sessions = await listActiveSessions(req.user._id);
+  res.status(200).json({
+    success: true,
+    sessions: sessions.map(session => ({
+      _id: session._id,
+      client: session.client,
+      device: session.device,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      current: session._id.equals(req.sessionId)
+    }))
+  });
+});
+
+export const revokeSessionById = catchAsyncError(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+    revokedAt: { $exists: false }
+  });
+  if (!session) {
+    return next(new ErrorHandler("Session not found", 404));
+  }
+  await revokeSession(session, 'revoked');
+  res.status(200).json({
+    success: true,
+    message: "Session revoked."
+  });
+});
+
+// Sign out everywhere except the current device
+export const revokeAllOtherSessions = catchAsyncError(async (req, res, next) => {
+  const result = await revokeOtherSessions(req.user._id, req.sessionId);
+  res.status(200).json({
+    success: true,
+    message: "Other sessions revoked.",
+    revoked: result.modifiedCount
+  });
+});
+
 export const getUser = catchAsyncError(async (req, res, next) => {
   const user = req.user;
   res.status(200).json({
@@ -635,15 +740,31 @@ export const verifyResetOTP = catchAsyncError(async (req, res, next) => {
     return next(new ErrorHandler("Email and OTP are required.", 400));
   }
 
+  const identity = { account: email, ip: req.ip };
+  const attemptError = await checkAuthAttempts('verify_reset_otp', identity);
+  if (attemptError) {
+    return next(attemptError);
+  }
+
   // Find user by email
-  const user = await User.findOne({ email, accountVerified: true });
+  const user = await User.findOne({ email, accountVerified: true }).select('+resetPasswordOTP');
   
   if (!user) {
+    await recordFailedAttempt('verify_reset_otp', identity);
     return next(new ErrorHandler("User not found.", 404));
   }
 
-  // Check if OTP matches
-  if (user.resetPasswordOTP !== Number(otp)) {
+  // Check if OTP matches. Too many wrong guesses burn the code.
+  if (!verifyOtp(otp, user.resetPasswordOTP)) {
+    await recordFailedAttempt('verify_reset_otp', identity);
+    user.resetPasswordOTPAttempts = (user.resetPasswordOTPAttempts || 0) + 1;
+    if (user.resetPasswordOTPAttempts >= MAX_OTP_ATTEMPTS) {
+      user.resetPasswordOTP = undefined;
+      user.resetPasswordOTPExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+      return next(new ErrorHandler("Too many incorrect attempts. Please request a new OTP.", 400));
+    }
+    await user.save({ validateBeforeSave: false });
     return next(new ErrorHandler("Invalid OTP code", 400));
   }
 
@@ -659,12 +780,14 @@ export const verifyResetOTP = catchAsyncError(async (req, res, next) => {
   // Clear OTP after verification
   user.resetPasswordOTP = undefined;
   user.resetPasswordOTPExpire = undefined;
+  user.resetPasswordOTPAttempts = 0;
   
   // Reset rate-limiting counters
   user.resetPasswordResendCount = 0;
   user.resetPasswordCooldownExpires = undefined;
   
   await user.save({ validateBeforeSave: false });
+  await clearFailedAttempts('verify_reset_otp', identity);
 
   res.status(200).json({
     success: true,
@@ -10,10 +10,13 @@ import userRoutes from "./routes/userRoutes.js";
 import { connectDB } from "./lib/db.js";
 import { errorMiddleware } from "./middleware/error.js";
 import { removeUnverifiedAccounts } from "./automation/removeUnverifiedAccounts.js";
+import { removeOrphanedMedia } from "./automation/removeOrphanedMedia.js";
+import { refreshLeaderboards } from "./automation/refreshLeaderboards.js";
 import supervisorRoutes from "./routes/supervisorRoutes.js";
 import workerRoutes from "./routes/workerRoutes.js";
 import attendanceRoutes from "./routes/attendanceRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
+import { LOCAL_STORAGE_DIR } from "./services/storageProviders/localProvider.js";
 
 const app = express();
 app.set('trust proxy', 1); // Trust reverse proxy
@@ -66,8 +69,14 @@ app.get('/health', (req, res) => {
 });
 
 
+// Serve uploaded media when using local filesystem storage
+if (process.env.STORAGE_PROVIDER === 'local') {
+  app.use("/uploads", express.static(LOCAL_STORAGE_DIR));
+}
+
 app.use("/api/auth", authRoutes);
-app.use("/api/report", reportLimiter, reportRoutes); // Rate limiter applied
+app.post("/api/report", reportLimiter); // Only submissions are rate limited, not map/list reads
+app.use("/api/report", reportRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/supervisor", supervisorRoutes);
 app.use("/api/workers", workerRoutes);
@@ -76,6 +85,8 @@ app.use("/api/admin", adminRoutes);
 
 
 removeUnverifiedAccounts(); // Schedule task to remove unverified accounts
+removeOrphanedMedia(); // Schedule task to remove unreferenced media
+refreshLeaderboards(); // Schedule task to recompute leaderboard snapshots
 // Start server
 connectDB().then(() => {
   app.listen(PORT, () => {
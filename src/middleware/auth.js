@@ -2,6 +2,11 @@ import { catchAsyncError } from "./catchAsyncError.js";
 import ErrorHandler from "./error.js";
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import { isTwoFactorRequired, verifyLoginChallenge } from "../services/twoFactorService.js";
+
+// Don't write lastUsedAt on every request
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
 
 export const isAuthenticated = catchAsyncError(async (req, res, next) => {
   let authToken;
@@ -26,6 +31,11 @@ export const isAuthenticated = catchAsyncError(async (req, res, next) => {
   try {
     // Verify token
     const decoded = jwt.verify(authToken, process.env.JWT_SECRET);
+    // Login challenges and invitation links are signed with the same secret
+    // but are never access tokens
+    if (decoded.purpose || decoded.aud) {
+      return next(new ErrorHandler("Invalid token. Please login again.", 401));
+    }
     
     // Find user
     const user = await User.findById(decoded.userId).select('+tokenVersion');
@@ -39,6 +49,19 @@ export const isAuthenticated = catchAsyncError(async (req, res, next) => {
     if (user.tokenVersion !== tokenVersion) {
       return next(new ErrorHandler("Session expired. Please login again.", 401));
     }
+
+    // Access tokens carry their session; a revoked session ends them at once.
+    // Tokens issued before sessions existed have no sessionId.
+    if (decoded.sessionId) {
+      const session = await Session.findById(decoded.sessionId).select('revokedAt lastUsedAt');
+      if (!session || session.revokedAt) {
+        return next(new ErrorHandler("Session expired. Please login again.", 401));
+      }
+      if (Date.now() - session.lastUsedAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+        await Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+      }
+      req.sessionId = session._id;
+    }
     
     // Attach user to request
     req.user = user;
@@ -47,7 +70,8 @@ export const isAuthenticated = catchAsyncError(async (req, res, next) => {
   } catch (error) {
     // Handle specific JWT errors
     if (error instanceof jwt.TokenExpiredError) {
-      return next(new ErrorHandler("Session expired. Please login again.", 401));
+      // Clients with a refresh token should call /api/auth/refresh
+      return next(new ErrorHandler("Session expired. Please login again.", 401, 'ACCESS_TOKEN_EXPIRED'));
     }
     if (error instanceof jwt.JsonWebTokenError) {
       return next(new ErrorHandler("Invalid token. Please login again.", 401));
@@ -61,5 +85,21 @@ export const isAdmin = (req, res, next) => {
   if (req.user.role !== 'admin') {
     return next(new ErrorHandler("Admin access denied", 403));
   }
+  // Covers tokens issued before 2FA became mandatory
+  if (isTwoFactorRequired(req.user) && !req.user.twoFactorEnabled) {
+    return next(new ErrorHandler("Set up two-factor authentication to continue", 403, 'TWO_FACTOR_SETUP_REQUIRED'));
+  }
+  next();
+};
+
+// 2FA enrollment is reachable either signed in, or mid-login with the
+// challenge token from login when the role requires 2FA
+export const isAuthenticatedOrEnrolling = catchAsyncError(async (req, res, next) => {
+  if (!req.body?.challengeToken) {
+    return isAuthenticated(req, res, next);
+  }
+  const { user, client } = await verifyLoginChallenge(req.body.challengeToken, 'enroll');
+  req.user = user;
+  req.twoFactorChallenge = { client };
   next();
-};
\ No newline at end of file
+});
\ No newline at end of file
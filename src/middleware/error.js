@@ -1,7 +1,8 @@
 class ErrorHandler extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, code) {
     super(message);
     this.statusCode = statusCode;
+    this.code = code; // Optional machine-readable code, e.g. STORAGE_TIMEOUT
   }
 }
 
@@ -41,6 +42,7 @@ export const errorMiddleware = (err, req, res, next) => {
   return res.status(err.statusCode).json({
     success: false,
     message: err.message,
+    ...(err instanceof ErrorHandler && err.code && { code: err.code }),
     ...(process.env.NODE_ENV === 'development' && { errorDetails: err.stack })
   });
 };
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// Failed authentication attempts for one account or IP on one action
+// (login, verify_otp, ...). Keys look like `login:account:someone@example.com`
+// or `login:ip:203.0.113.7`.
+const authAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  lockedUntil: Date,
+  // Counters are forgotten once nothing has happened for a while
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+authAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthAttempt = mongoose.model("AuthAttempt", authAttemptSchema);
+export default AuthAttempt;
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// Invitation for a supervisor or admin account. The emailed link carries a
+// signed token whose nonce must match `tokenHash`, so resending an invite
+// invalidates the previous link and accepting it uses it up.
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  role: {
+    type: String,
+    enum: ['supervisor', 'admin'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastSentAt: Date,
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  acceptedAt: Date,
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt < new Date()) return 'expired';
+  return 'pending';
+});
+
+invitationSchema.index({ email: 1, createdAt: -1 });
+
+const Invitation = mongoose.model("Invitation", invitationSchema);
+export default Invitation;
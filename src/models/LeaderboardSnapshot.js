@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// Precomputed leaderboard for one period and area, refreshed on a schedule
+// (automation/refreshLeaderboards.js) so requests never aggregate the ledger
+const leaderboardSnapshotSchema = new mongoose.Schema({
+  period: {
+    type: String,
+    enum: ['weekly', 'monthly', 'all-time'],
+    required: true
+  },
+  area: {
+    type: String,
+    default: 'all'
+  },
+  periodStart: Date,
+  entries: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    username: String,
+    profileImage: String,
+    reportCount: Number,
+    points: Number,
+    rank: Number
+  }],
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+leaderboardSnapshotSchema.index({ period: 1, area: 1 }, { unique: true });
+
+const LeaderboardSnapshot = mongoose.model("LeaderboardSnapshot", leaderboardSnapshotSchema);
+export default LeaderboardSnapshot;
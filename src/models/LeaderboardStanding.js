@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// A user's points and rank on one period/area leaderboard, written together
+// with its snapshot so a user outside the top entries can see their standing
+// without a ledger aggregation per request
+const leaderboardStandingSchema = new mongoose.Schema({
+  period: {
+    type: String,
+    enum: ['weekly', 'monthly', 'all-time'],
+    required: true
+  },
+  area: {
+    type: String,
+    default: 'all'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  points: Number,
+  rank: Number,
+  // Matches the snapshot's computedAt; older rows are removed after a refresh
+  computedAt: Date
+});
+
+leaderboardStandingSchema.index({ period: 1, area: 1, user: 1 }, { unique: true });
+leaderboardStandingSchema.index({ period: 1, area: 1, computedAt: 1 });
+
+const LeaderboardStanding = mongoose.model("LeaderboardStanding", leaderboardStandingSchema);
+export default LeaderboardStanding;
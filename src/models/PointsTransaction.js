@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// Append-only ledger of point changes. User.points is the running balance of
+// a user's transactions and can be rebuilt from them (scripts/rebuildPoints.js).
+const pointsTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: [
+      'report_confirmed',
+      'report_revoked',
+      'report_reclassified',
+      'report_deleted',
+      'report_bonus',
+      'report_out_of_scope',
+      'report_rejected',
+      'report_spam',
+      'opening_balance',
+      'adjustment'
+    ],
+    required: true
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Report"
+  },
+  // Who caused the change (omit for automated changes)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  note: String,
+  // Leaderboard area: the report's area, else the user's home area
+  area: String
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+pointsTransactionSchema.index({ user: 1, createdAt: -1 });
+pointsTransactionSchema.index({ createdAt: -1, area: 1 });
+
+const PointsTransaction = mongoose.model("PointsTransaction", pointsTransactionSchema);
+export default PointsTransaction;
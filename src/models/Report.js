@@ -1,5 +1,35 @@
   import mongoose from "mongoose";
 
+  // One stored photo, in the order the client sent it
+  const mediaSchema = new mongoose.Schema({
+    url: {
+      type: String,
+      required: true
+    },
+    publicId: {
+      type: String,
+      required: true
+    },
+    photoTimestamp: Date,
+    classification: {
+      isWaste: Boolean,
+      confidence: Number,
+      verification: String,
+      category: String
+    },
+    // Read from the original upload; the stored copy has EXIF stripped.
+    // Not selected by default: only admin/supervisor detail views include it.
+    exif: {
+      type: new mongoose.Schema({
+        capturedAt: Date,
+        latitude: Number,
+        longitude: Number,
+        device: String
+      }, { _id: false }),
+      select: false
+    }
+  }, { _id: false });
+
   const reportSchema = new mongoose.Schema({
     title: {
       type: String,
@@ -14,6 +44,8 @@
     type: String,
     required: true
   },
+    // All report photos; image/publicId mirror the first one
+    media: [mediaSchema],
     details: {
       type: String,
       required: true,
@@ -35,6 +67,8 @@
       required: true,
       trim: true
     },
+    // Leaderboard area derived from the location (utils/areas.js)
+    area: String,
     createdTime: {
       type: Date,
       default: Date.now
@@ -48,16 +82,105 @@
       type: Date,
       required: true
     },
+    // Decided by the server (classifier suggestion, then admin review);
+    // what the citizen picked is kept in claimedReportType
     reportType: {
       type: String,
       enum: ['standard', 'hazardous', 'large'],
       default: 'standard'
     },
+    claimedReportType: {
+      type: String,
+      enum: ['standard', 'hazardous', 'large']
+    },
+    reportTypeSource: {
+      type: String,
+      enum: ['classifier', 'default', 'admin']
+    },
+    // Waste category key from the taxonomy in utils/wasteTaxonomy.js
+    category: {
+      type: String,
+      default: 'general'
+    },
+    // Classifier output captured at submission time. A 'forced' verification
+    // marks reports that skipped classification via forceSubmit
+    aiVerification: {
+      isWaste: Boolean,
+      confidence: Number,
+      verification: {
+        type: String,
+        enum: ['high_confidence', 'medium_confidence', 'unverified', 'forced']
+      },
+      category: String,
+      suggestedReportType: String,
+      modelVersion: String,
+      detections: [{
+        _id: false,
+        class: Number,
+        name: String,
+        category: String,
+        confidence: Number,
+        box: {
+          x1: Number,
+          y1: Number,
+          x2: Number,
+          y2: Number
+        }
+      }],
+      classifiedAt: Date
+    },
 status: {
   type: String,
-  enum: ['pending', 'in-progress', 'resolved', 'rejected', 'permanent-resolved', 'out-of-scope'],
+  enum: ['needs-review', 'discarded', 'duplicate', 'pending', 'in-progress', 'resolved', 'rejected', 'permanent-resolved', 'out-of-scope', 'disputed'],
   default: 'pending'
 },
+// Moderation queue for forced and low-confidence submissions
+reviewReason: {
+  type: String,
+  enum: ['forced', 'low_confidence', 'photo_mismatch']
+},
+// EXIF capture time / GPS compared against the submitted values (worst photo)
+photoCheck: {
+  flags: [String],
+  ageHours: Number,
+  timeDiffMinutes: Number,
+  distanceMeters: Number,
+  checkedAt: Date
+},
+reviewNote: String,
+reviewedBy: {
+  type: mongoose.Schema.Types.ObjectId,
+  ref: "User"
+},
+reviewedAt: Date,
+// Points credited to the reporter for this report
+pointsAwarded: Number,
+// Points held until the report is assigned (see services/reportPointsService.js)
+provisionalPoints: Number,
+// One-off bonus credited when the report was permanently resolved
+bonusPoints: Number,
+// Set by the supervisor or admin; spam loses all of its points
+markedAsSpam: Boolean,
+// Perceptual hash of the submitted image, used for duplicate detection
+imageHash: String,
+// Set when this report was filed against an already open report
+duplicateOf: {
+  type: mongoose.Schema.Types.ObjectId,
+  ref: "Report"
+},
+// "Me too" confirmations linked to this report
+confirmations: [{
+  _id: false,
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Report"
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  confirmedAt: Date
+}],
 outOfScopeReason: String,
 outOfScopeBy: {
   type: mongoose.Schema.Types.ObjectId,
@@ -67,6 +190,8 @@ outOfScopeAt: Date,
 outOfScopeAt: Date,
 resolvedImage: String,
   resolvedPublicId: String,
+  // All resolution photos; resolvedImage/resolvedPublicId mirror the first one
+  resolvedMedia: [mediaSchema],
   resolvedLocation: {
     type: {
       type: String,
@@ -75,6 +200,16 @@ resolvedImage: String,
     coordinates: [Number],
   },
   resolvedAddress: String,
+  // Classifier check that the "after" photos no longer show waste
+  resolutionVerification: {
+    wasteDetected: Boolean,
+    confidence: Number, // Highest waste confidence across the "after" photos
+    verification: String,
+    modelVersion: String,
+    classifiedAt: Date,
+    flagged: Boolean, // Waste still visible, needs a closer look from the admin
+    error: String // Classifier unavailable at resolve time
+  },
   resolvedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User"
@@ -89,7 +224,9 @@ resolvedImage: String,
 },
   assignedAt: Date,
   assignedMsg:String,
-  distanceToReported: Number, 
+  distanceToReported: Number, // Meters, measured at resolve time
+  resolvedLocationAccuracy: Number, // Reported GPS accuracy (meters) of the resolve fix
+  geofenceExceeded: Boolean, // Resolved outside the tolerance in warn mode
 permanentlyResolvedAt: Date,
 permanentlyResolvedBy: {
   type: mongoose.Schema.Types.ObjectId,
@@ -103,10 +240,61 @@ rejectedBy: {
   ref: "User"
 },
 rejectedAt: Date,
+// Reporter's satisfaction with the resolution (rated once)
+rating: {
+  score: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxLength: 500
+  },
+  ratedAt: Date
+},
+// Citizen dispute of a resolution, with fresh evidence from the site
+dispute: {
+  reason: String,
+  image: String,
+  publicId: String,
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+    },
+    coordinates: [Number],
+  },
+  disputedAt: Date,
+  previousStatus: String, // Status restored if the admin confirms the resolution
+  outcome: {
+    type: String,
+    enum: ['reopened', 'confirmed']
+  },
+  outcomeNote: String,
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  decidedAt: Date
+},
   }, {
     timestamps: true
   });
 
+  // Every storage id this report references (report, resolution and dispute photos)
+  reportSchema.methods.getMediaPublicIds = function() {
+    const ids = [
+      this.publicId,
+      ...this.media.map(item => item.publicId),
+      this.resolvedPublicId,
+      ...this.resolvedMedia.map(item => item.publicId),
+      this.dispute?.publicId
+    ];
+    return [...new Set(ids.filter(Boolean))];
+  };
+
   // Create geospatial index
   reportSchema.index({ location: '2dsphere' });
 
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// Append-only log of report status changes. Events are only ever inserted,
+// never updated, so a report's full history survives rejections and rework.
+const reportEventSchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Report",
+    required: true
+  },
+  fromStatus: String, // Empty for the creation event
+  toStatus: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  },
+  role: {
+    type: String,
+    enum: ['user', 'supervisor', 'admin', 'system']
+  },
+  note: String,
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: [Number]
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+reportEventSchema.index({ report: 1, createdAt: 1 });
+
+const ReportEvent = mongoose.model("ReportEvent", reportEventSchema);
+export default ReportEvent;
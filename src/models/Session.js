@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// One signed-in device. The refresh token is `<session id>.<secret>`; only a
+// hash of the current secret is stored, plus hashes of rotated-out secrets so
+// a replayed old token can be recognised.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  // User.tokenVersion at sign-in; bumping it (password reset) ends the session
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  client: {
+    type: String,
+    enum: ['mobile', 'web']
+  },
+  device: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse_detected', 'password_changed']
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+export default Session;
@@ -2,6 +2,7 @@ import mongoose from "mongoose";
 import bcrypt from 'bcryptjs';
 import jwt from "jsonwebtoken";
 import crypto from "crypto";
+import { generateNumericOtp, hashOtp } from "../utils/otp.js";
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -54,12 +55,27 @@ const userSchema = new mongoose.Schema({
   enum: ['user', 'supervisor', 'admin'],
   default: 'user'
 },
-  verificationCode: Number,
+  // Hashes of the emailed codes (utils/otp.js)
+  verificationCode: {
+    type: String,
+    select: false
+  },
   verificationCodeExpire: Date,
   resetPasswordToken: String,
   resetPasswordExpire: Date,
-  resetPasswordOTP: Number,       // Added for OTP reset
+  resetPasswordOTP: {             // Added for OTP reset
+    type: String,
+    select: false
+  },
   resetPasswordOTPExpire: Date,   // Added for OTP expiration
+  resetPasswordOTPAttempts: {     // Wrong guesses against the current reset OTP
+    type: Number,
+    default: 0
+  },
+  verificationAttempts: {         // Wrong guesses against the current verification code
+    type: Number,
+    default: 0
+  },
   cooldownExpires: Date,
   createdAt: {
     type: Date,
@@ -83,6 +99,10 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   }, 
+  // Set once the balance from before the points ledger has been carried into it
+  pointsLedgerSeeded: Boolean,
+  // Area used for regional leaderboards when points aren't tied to a report
+  homeArea: String,
   resendCount: {
     type: Number,
     default: 0,
@@ -92,6 +112,31 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // TOTP two-factor authentication. Secrets are encrypted (utils/totp.js),
+  // recovery codes are stored as hashes.
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorEnabledAt: Date,
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret from an enrollment that hasn't been confirmed with a code yet
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step, so a code can't be used twice
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
   // NEW SECURITY FIELDS
   resetPasswordVerified: {
     type: Boolean,
@@ -120,47 +165,44 @@ userSchema.methods.comparePassword = async function(userPassword) {
   return await bcrypt.compare(userPassword, this.password);
 };
 
+// Email verification code. Only its hash is stored; the plain code is
+// returned for the email.
 userSchema.methods.generateVerificationCode = function() {
-  function generateRandomFiveDigitNumber() {
-    const firstDigit = Math.floor(Math.random() * 9) + 1;
-    const remainingDigits = Math.floor(Math.random() * 10000)
-      .toString()
-      .padStart(4, '0');
-
-    return parseInt(firstDigit + remainingDigits);
-  }
-  
-  const verificationCode = generateRandomFiveDigitNumber();
-  this.verificationCode = verificationCode;
+  const verificationCode = generateNumericOtp(5);
+  this.verificationCode = hashOtp(verificationCode);
   this.verificationCodeExpire = Date.now() + 5 * 60 * 1000;
+  this.verificationAttempts = 0;
 
   return verificationCode;
 };
 
-// Generate JWT
-userSchema.methods.generateToken = function() {
+// Generate a short-lived access token for a session (see services/sessionService.js)
+userSchema.methods.generateToken = function(sessionId) {
   return jwt.sign(
     { 
       userId: this._id,
+      sessionId,
       verified: this.accountVerified,
       tokenVersion: this.tokenVersion
     },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRE || '15m' }
   );
 };
 
-// Generate password reset OTP
+// Generate password reset OTP (hash stored, plain code returned for the email)
 userSchema.methods.generateResetOTP = function() {
   // Generate a 5-digit OTP
-  const otp = Math.floor(10000 + Math.random() * 90000);
-  this.resetPasswordOTP = otp;
+  const otp = generateNumericOtp(5);
+  this.resetPasswordOTP = hashOtp(otp);
   // Set expiration to 5 minutes (300,000 milliseconds)
   this.resetPasswordOTPExpire = Date.now() + 5 * 60 * 1000;
+  this.resetPasswordOTPAttempts = 0;
   return otp;
 };
 
 userSchema.index({ reportCount: -1, points: -1 });
+userSchema.index({ role: 1, points: -1 });
 // Add TTL index for automatic verification expiration
 userSchema.index({ resetPasswordVerifiedExpires: 1 }, { expireAfterSeconds: 0 });
 
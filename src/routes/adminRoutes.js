@@ -9,6 +9,10 @@ import {
   getUserActivity,
   getReportStatusCounts,
   createSupervisor,
+  inviteStaff,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation,
   deleteSupervisor,
   markAsPermanentResolved,
   rejectReport,
@@ -23,7 +27,17 @@ import {
   getSupervisorPerformanceAnalytics,
   getWorkerAttendanceAnalytics,
   getReportTrends,
-  getAllUsers
+  getAllUsers,
+  getReviewQueue,
+  approveReviewReport,
+  discardReviewReport,
+  mergeDuplicateReport,
+  splitDuplicateReport,
+  reclassifyReport,
+  getDisputedReports,
+  reopenDisputedReport,
+  confirmDisputedResolution,
+  getOrphanedMedia
 } from '../controllers/adminController.js';
 import { isAuthenticated, isAdmin } from '../middleware/auth.js';
 import { catchAsyncError } from '../middleware/catchAsyncError.js';
@@ -34,6 +48,15 @@ const router = express.Router();
 router.use(isAuthenticated, isAdmin);
 
 router.get('/reports', getAllReports);
+router.get('/reports/review', getReviewQueue);
+router.patch('/reports/:id/approve', approveReviewReport);
+router.patch('/reports/:id/discard', discardReviewReport);
+router.patch('/reports/:id/merge', mergeDuplicateReport);
+router.patch('/reports/:id/split', splitDuplicateReport);
+router.patch('/reports/:id/type', reclassifyReport);
+router.get('/reports/disputed', getDisputedReports);
+router.patch('/reports/:id/dispute/reopen', reopenDisputedReport);
+router.patch('/reports/:id/dispute/confirm', confirmDisputedResolution);
 router.get('/users', getAllUsers);
 
 router.get('/supervisors', getSupervisors);
@@ -51,6 +74,10 @@ router.get('/user-activity', getUserActivity);
 router.get('/report-status-counts', getReportStatusCounts);
 router.post('/supervisors', createSupervisor);
 router.delete('/supervisors/:id', deleteSupervisor);
+router.get('/invitations', getInvitations);
+router.post('/invitations', inviteStaff);
+router.post('/invitations/:id/resend', resendInvitation);
+router.delete('/invitations/:id', revokeInvitation);
 router.patch(
   '/reports/:id/permanent-resolved', 
   isAuthenticated,
@@ -90,6 +117,9 @@ router.get('/rejected-reports',
 );
 router.get('/reports/:id', getReportDetails);
 
+// Media maintenance
+router.get('/media/orphans', getOrphanedMedia);
+
 // Worker Management Routes
 router.get('/workers', getAllWorkers);
 router.post('/workers', addWorkerByAdmin);
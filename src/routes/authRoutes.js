@@ -1,17 +1,28 @@
 import express from "express";
-import {register,verifyOTP,resendOTP,login, logout, getUser, forgotPassword,verifyResetOTP, resetPasswordWithOTP,registerSupervisor,registerAdmin} from "../controllers/userController.js"
-import { isAuthenticated } from "../middleware/auth.js";
+import {register,verifyOTP,resendOTP,login, logout, getUser, forgotPassword,verifyResetOTP, resetPasswordWithOTP,verifyInvitation,acceptInvitation,refreshToken,getSessions,revokeSessionById,revokeAllOtherSessions} from "../controllers/userController.js"
+import { isAuthenticated, isAuthenticatedOrEnrolling } from "../middleware/auth.js";
+import { getTwoFactorStatus, setupTwoFactor, activateTwoFactor, verifyTwoFactorLogin, disableTwoFactor, regenerateRecoveryCodes } from "../controllers/twoFactorController.js";
 
 const router=express.Router();
 
 router.post("/register",register);
-router.post("/register-supervisor", registerSupervisor);
-router.post("/register-admin", registerAdmin);
+router.post("/invitations/verify", verifyInvitation);
+router.post("/invitations/accept", acceptInvitation);
 router.post("/verifyOTP",verifyOTP);
 router.post("/resendOTP", resendOTP);
 router.post("/login",login);
+router.post("/login/2fa", verifyTwoFactorLogin);
 router.post("/logout",isAuthenticated,logout);
 router.get("/me",isAuthenticated,getUser);
+router.post("/refresh", refreshToken);
+router.get("/sessions", isAuthenticated, getSessions);
+router.delete("/sessions", isAuthenticated, revokeAllOtherSessions);
+router.delete("/sessions/:id", isAuthenticated, revokeSessionById);
+router.get("/2fa", isAuthenticated, getTwoFactorStatus);
+router.post("/2fa/setup", isAuthenticatedOrEnrolling, setupTwoFactor);
+router.post("/2fa/activate", isAuthenticatedOrEnrolling, activateTwoFactor);
+router.post("/2fa/disable", isAuthenticated, disableTwoFactor);
+router.post("/2fa/recovery-codes", isAuthenticated, regenerateRecoveryCodes);
 router.post("/password/forgot", forgotPassword);
 router.post("/password/verify-otp", verifyResetOTP);
 router.put("/password/reset", resetPasswordWithOTP); 
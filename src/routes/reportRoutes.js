@@ -1,9 +1,20 @@
 import express from 'express';
 import Report from "../models/Report.js";
-import User from "../models/User.js";
-import cloudinary from '../lib/cloudinary.js';
+import { deleteImage } from '../services/mediaStorage.js';
 import { isAuthenticated } from "../middleware/auth.js";
 import classifyImage from '../services/classificationService.js';
+import { holdReportPoints, revokeReportPoints } from '../services/reportPointsService.js';
+import { computeImageHash } from '../utils/imageHash.js';
+import { findDuplicateReport, linkDuplicate, unlinkDuplicate } from '../services/duplicateService.js';
+import { recordStatusEvent, getReportTimeline } from '../services/reportTimelineService.js';
+import { assertTransition, transitionReport } from '../services/reportStateMachine.js';
+import { normalizePhotos, validatePhotos, uploadPhotos } from '../utils/reportMedia.js';
+import { verifyPhotoMetadata } from '../services/photoVerificationService.js';
+import { WASTE_TAXONOMY, WASTE_CATEGORIES } from '../utils/wasteTaxonomy.js';
+import { getAreaForCoordinates } from '../utils/areas.js';
+
+// How long after resolution the reporting citizen may dispute it
+const DISPUTE_WINDOW_DAYS = Number(process.env.DISPUTE_WINDOW_DAYS) || 7;
 
 const router = express.Router();
 
@@ -12,27 +23,22 @@ router.post('/', isAuthenticated, async (req, res) => {
     const {
       title,
       image,
+      images,
       details,
       address,
       latitude,
       longitude,
       photoTimestamp,
       reportType,
+      category,
       forceSubmit
     } = req.body;
 
-    const base64Data = image.replace(/^data:image\/\w+;base64,/, '');
-    const buffer = Buffer.from(base64Data, 'base64');
-    if (buffer.length > 5 * 1024 * 1024) {
-      return res.status(413).json({ 
-        message: 'Image too large (max 5MB)',
-        code: 'IMAGE_TOO_LARGE'
-      });
-    }
+    const photos = normalizePhotos({ image, images, photoTimestamp });
 
     const missingFields = [];
     if (!title) missingFields.push('title');
-    if (!image) missingFields.push('image');
+    if (photos.length === 0) missingFields.push('image');
     if (!details) missingFields.push('details');
     if (!address) missingFields.push('address');
     
@@ -73,32 +79,45 @@ router.post('/', isAuthenticated, async (req, res) => {
       });
     }
 
-    if (!/^(data:image\/\w+;base64,)?[A-Za-z0-9+/=]+$/.test(image)) {
+    if (category && !WASTE_CATEGORIES.includes(category)) {
       return res.status(400).json({
-        message: 'Invalid image format',
-        code: 'INVALID_IMAGE_FORMAT'
+        message: `Unknown waste category: ${category}`,
+        code: 'INVALID_CATEGORY',
+        validCategories: WASTE_CATEGORIES
+      });
+    }
+
+    const photoError = validatePhotos(photos);
+    if (photoError) {
+      return res.status(photoError.status).json({
+        message: photoError.message,
+        code: photoError.code
       });
     }
 
+    // The report passes if any photo shows waste; the most confident one is kept
     let classification;
+    let photoClassifications = [];
+    let reviewReason = forceSubmit ? 'forced' : null;
     if (!forceSubmit) {
       try {
-        classification = await classifyImage(image);
+        photoClassifications = await Promise.all(photos.map(photo => classifyImage(photo.image)));
+        classification = photoClassifications
+          .filter(result => result.isWaste)
+          .sort((a, b) => b.confidence - a.confidence)[0];
 
-        if (!classification.isWaste) {
+        if (!classification) {
           return res.status(400).json({
             message: 'Image does not show recognizable waste',
-            classification,
+            classification: photoClassifications[0],
+            classifications: photoClassifications,
             code: 'NOT_WASTE'
           });
         }
         
+        // Low-confidence detections go to the admin review queue instead of being rejected
         if (classification.confidence < 0.7) {
-          return res.status(400).json({
-            message: 'Low confidence in waste detection',
-            classification,
-            code: 'LOW_CONFIDENCE'
-          });
+          reviewReason = 'low_confidence';
         }
       } catch (error) {
         return res.status(503).json({
@@ -109,73 +128,142 @@ router.post('/', isAuthenticated, async (req, res) => {
       }
     }
 
-    let uploadResponse;
+    // Check each photo's EXIF against the submitted time and place; old
+    // gallery photos or photos taken elsewhere are held for review
+    const photoChecks = await Promise.all(photos.map(photo =>
+      verifyPhotoMetadata(photo.buffer, {
+        latitude: lat,
+        longitude: lon,
+        photoTimestamp: photo.photoTimestamp
+      })
+    ));
+    const maxOf = (key) => {
+      const values = photoChecks.map(check => check[key]).filter(value => value !== undefined);
+      return values.length > 0 ? Math.max(...values) : undefined;
+    };
+    const photoCheck = {
+      flags: [...new Set(photoChecks.flatMap(check => check.flags))],
+      ageHours: maxOf('ageHours'),
+      timeDiffMinutes: maxOf('timeDiffMinutes'),
+      distanceMeters: maxOf('distanceMeters'),
+      checkedAt: new Date()
+    };
+    if (!reviewReason && photoChecks.some(check => check.needsReview)) {
+      reviewReason = 'photo_mismatch';
+    }
+
+    // Same pile reported again nearby: link it to the open report instead of queueing new work
+    let imageHash = null;
     try {
-      const cloudinaryPromise = cloudinary.uploader.upload(
-        `data:image/jpeg;base64,${image}`,
-        {
-          resource_type: 'image',
-          folder: 'reports',
-          quality: 'auto',
-          format: 'jpg',
-          transformation: [{ width: 800, crop: 'limit' }, { quality: 'auto:good' }]
+      imageHash = await computeImageHash(photos[0].buffer);
+    } catch (hashError) {
+      console.error("Image hash error:", hashError.message);
+    }
+    const originalReport = await findDuplicateReport({
+      coordinates: [lon, lat],
+      imageHash
+    });
+
+    let media;
+    try {
+      media = await uploadPhotos(photos, {
+        folder: 'reports',
+        describe: (photo, index) => {
+          const photoClassification = photoClassifications[index];
+          return {
+            exif: photoChecks[index].exif,
+            classification: photoClassification && {
+              isWaste: photoClassification.isWaste,
+              confidence: photoClassification.confidence,
+              verification: photoClassification.verification,
+              category: photoClassification.category
+            }
+          };
         }
-      );
-      const uploadTimeout = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('CLOUDINARY_TIMEOUT')), 15000)
-      );
-      uploadResponse = await Promise.race([cloudinaryPromise, uploadTimeout]);
+      });
     } catch (uploadError) {
-      if (uploadError.message === 'CLOUDINARY_TIMEOUT') {
-        return res.status(504).json({
-          message: 'Image upload timed out',
-          code: 'CLOUDINARY_TIMEOUT'
-        });
-      }
-      return res.status(500).json({
-        message: 'Image upload failed',
-        error: uploadError.message,
-        code: 'CLOUDINARY_ERROR'
+      return res.status(uploadError.statusCode || 500).json({
+        message: uploadError.message,
+        code: uploadError.code || 'STORAGE_ERROR'
       });
     }
 
-    const finalReportType = reportType || 'standard';
+    // The classifier decides the type; an admin can reclassify it later
+    const finalReportType = classification?.suggestedReportType || 'standard';
+    const finalCategory = category || classification?.category || 'general';
     const newReport = new Report({
       title: title.trim(),
-      image: uploadResponse.secure_url,
-      publicId: uploadResponse.public_id,
+      image: media[0].url,
+      publicId: media[0].publicId,
+      media,
       details: details.trim(),
       address: address.trim(),
       reportType: finalReportType,
+      claimedReportType: ['standard', 'hazardous', 'large'].includes(reportType) ? reportType : undefined,
+      reportTypeSource: classification?.suggestedReportType ? 'classifier' : 'default',
+      category: finalCategory,
       location: {
         type: 'Point',
         coordinates: [lon, lat]  // Use validated coordinates
       },
-      photoTimestamp: photoTimestamp ? new Date(photoTimestamp) : new Date(),
+      area: getAreaForCoordinates([lon, lat]),
+      photoTimestamp: media[0].photoTimestamp,
       user: req.user._id,
       aiVerification: classification ? {
         isWaste: classification.isWaste,
         confidence: classification.confidence,
-        verification: classification.verification
-      } : null
+        verification: classification.verification,
+        category: classification.category,
+        suggestedReportType: classification.suggestedReportType,
+        modelVersion: classification.modelVersion,
+        detections: classification.detections,
+        classifiedAt: classification.classifiedAt
+      } : { verification: 'forced' },
+      imageHash,
+      photoCheck,
+      ...(reviewReason && { status: 'needs-review', reviewReason }),
+      ...(originalReport && { status: 'duplicate', duplicateOf: originalReport._id })
     });
+
+    // Points are credited once the report is assigned. Reports held for
+    // review hold none until an admin approves them, duplicates earn none.
+    newReport.pointsAwarded = 0;
+    newReport.provisionalPoints = 0;
+    if (!reviewReason && !originalReport) {
+      holdReportPoints(newReport);
+    }
     const savedReport = await newReport.save();
 
-    const pointsMap = { standard: 10, hazardous: 20, large: 15 };
-    const pointsToAdd = pointsMap[finalReportType] || 10;
-    try {
-      await User.findByIdAndUpdate(req.user._id, {
-        $inc: { reportCount: 1, points: pointsToAdd }
-      });
-    } catch (updateError) {
-      // Silent fail for user points update
+    if (originalReport) {
+      await linkDuplicate(originalReport, savedReport);
     }
 
+    let submissionNote = 'Report submitted';
+    if (originalReport) submissionNote = `Linked as duplicate of ${originalReport._id}`;
+    else if (reviewReason) submissionNote = `Held for review (${reviewReason})`;
+    await recordStatusEvent({
+      report: savedReport,
+      to: savedReport.status,
+      actor: req.user,
+      note: submissionNote,
+      location: savedReport.location
+    });
+
+    let message = 'Report created successfully';
+    if (originalReport) message = 'Report linked to an existing report at this location';
+    else if (reviewReason) message = 'Report submitted for review';
+
     res.status(201).json({
-      message: 'Report created successfully',
+      message,
       report: savedReport,
-      pointsEarned: pointsToAdd,
-      classification
+      pointsEarned: 0,
+      provisionalPoints: savedReport.provisionalPoints,
+      duplicateOf: originalReport?._id,
+      classification,
+      suggestion: classification && {
+        reportType: classification.suggestedReportType,
+        category: classification.category
+      }
     });
   } catch (error) {
     if (error.name === 'ValidationError') {
@@ -221,18 +309,27 @@ router.post('/test-classify', isAuthenticated, async (req, res) => {
   }
 });
 
+// Waste categories the app can offer, with the report type each suggests
+router.get("/categories", isAuthenticated, (req, res) => {
+  res.status(200).json({
+    categories: WASTE_TAXONOMY.map(({ key, label, reportType }) => ({ key, label, reportType }))
+  });
+});
+
 // Pagination => infinite loading
 router.get("/", isAuthenticated, async (req, res) => {
   try {
     const page = req.query.page || 1;
     const limit = req.query.limit || 10;
     const skip = (page - 1) * limit;
-    const reports = await Report.find().sort({ createdAt: -1 })
+    // Reports awaiting moderation, discarded or linked as duplicates stay out of the public feed
+    const filter = { status: { $nin: ['needs-review', 'discarded', 'duplicate'] } };
+    const reports = await Report.find(filter).sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
       .populate("user", "username profileImage");
 
-    const totalReports = await Report.countDocuments();
+    const totalReports = await Report.countDocuments(filter);
 
     res.send({  
       reports,
@@ -246,6 +343,124 @@ router.get("/", isAuthenticated, async (req, res) => {
   }
 });
 
+// Statuses that can be requested through the geo queries
+const GEO_QUERY_STATUSES = ['pending', 'in-progress', 'resolved', 'permanent-resolved', 'rejected', 'out-of-scope', 'disputed'];
+
+// Parse ?status=pending,in-progress into a Mongo filter (defaults to every public status)
+const parseStatusFilter = (status) => {
+  const requested = status ? status.split(',').map(s => s.trim()) : GEO_QUERY_STATUSES;
+  const invalid = requested.filter(s => !GEO_QUERY_STATUSES.includes(s));
+  return invalid.length > 0 ? { invalid } : { filter: { $in: requested } };
+};
+
+// Reports around a point, closest first => "reports around me" / closest pending work
+router.get("/nearby", isAuthenticated, async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const radius = Math.min(parseFloat(req.query.radius) || 1000, 50000); // meters
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      return res.status(400).json({
+        message: 'Valid lat and lng query parameters are required',
+        code: 'INVALID_COORDINATES'
+      });
+    }
+
+    const { filter: statusFilter, invalid } = parseStatusFilter(req.query.status);
+    if (invalid) {
+      return res.status(400).json({
+        message: `Invalid status: ${invalid.join(', ')}`,
+        code: 'INVALID_STATUS'
+      });
+    }
+
+    const reports = await Report.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [lng, lat] },
+          distanceField: 'distance', // meters
+          maxDistance: radius,
+          spherical: true,
+          query: { status: statusFilter }
+        }
+      },
+      { $limit: limit },
+      // Aggregations skip the schema's select: false
+      { $project: { 'media.exif': 0 } }
+    ]);
+    await Report.populate(reports, { path: 'user', select: 'username profileImage' });
+
+    res.json({
+      reports,
+      center: { latitude: lat, longitude: lng },
+      radius,
+      total: reports.length
+    });
+  } catch (error) {
+    console.log("Error in getting nearby reports:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+});
+
+// Reports inside a map viewport given its south-west and north-east corners
+router.get("/within", isAuthenticated, async (req, res) => {
+  try {
+    const swLat = parseFloat(req.query.swLat);
+    const swLng = parseFloat(req.query.swLng);
+    const neLat = parseFloat(req.query.neLat);
+    const neLng = parseFloat(req.query.neLng);
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    if ([swLat, swLng, neLat, neLng].some(isNaN) ||
+        swLat < -90 || neLat > 90 || swLat >= neLat ||
+        swLng < -180 || neLng > 180 || swLng >= neLng) {
+      return res.status(400).json({
+        message: 'Valid swLat, swLng, neLat and neLng query parameters are required',
+        code: 'INVALID_BOUNDS'
+      });
+    }
+
+    const { filter: statusFilter, invalid } = parseStatusFilter(req.query.status);
+    if (invalid) {
+      return res.status(400).json({
+        message: `Invalid status: ${invalid.join(', ')}`,
+        code: 'INVALID_STATUS'
+      });
+    }
+
+    const reports = await Report.find({
+      status: statusFilter,
+      location: {
+        $geoWithin: {
+          $geometry: {
+            type: 'Polygon',
+            coordinates: [[
+              [swLng, swLat],
+              [neLng, swLat],
+              [neLng, neLat],
+              [swLng, neLat],
+              [swLng, swLat]
+            ]]
+          }
+        }
+      }
+    })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate("user", "username profileImage");
+
+    res.json({
+      reports,
+      total: reports.length
+    });
+  } catch (error) {
+    console.log("Error in getting reports within bounds:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+});
+
 // Get reports that are being reported by the logged in user 
 router.get("/user", isAuthenticated, async (req, res) => {
   try {
@@ -270,31 +485,16 @@ router.delete("/:id", isAuthenticated, async (req, res) => {
       return res.status(401).json({ message: "Unauthorized" });
     }
 
-    if (report.publicId) {
+    for (const publicId of report.getMediaPublicIds()) {
       try {
-        await cloudinary.uploader.destroy(report.publicId);
+        await deleteImage(publicId);
       } catch (deleteError) {
-        console.error("Cloudinary deletion error:", deleteError);
+        console.error("Media deletion error:", deleteError);
       }
     }
 
-    const pointsMap = {
-      standard: 10,
-      hazardous: 20,
-      large: 15
-    };
-    
-    const pointsToDeduct = report.reportType 
-      ? pointsMap[report.reportType] || 10 
-      : 10;
-
-    await User.findByIdAndUpdate(req.user._id, {
-      $inc: { 
-        reportCount: -1, 
-        points: -pointsToDeduct 
-      }
-    });
-
+    await revokeReportPoints(report, req.user, 'report_deleted');
+    await unlinkDuplicate(report);
     await report.deleteOne();
     res.json({ message: "Report deleted successfully" });
     
@@ -303,6 +503,176 @@ router.delete("/:id", isAuthenticated, async (req, res) => {
     res.status(500).json({ message: "Internal Server Error" });
   }
 });
+// Dispute a resolution: the citizen who filed the report says the garbage is still there
+router.post("/:id/dispute", isAuthenticated, async (req, res) => {
+  try {
+    const { image, latitude, longitude, reason } = req.body;
+
+    if (!image || latitude === undefined || longitude === undefined) {
+      return res.status(400).json({
+        message: 'A new photo and location are required to dispute a resolution',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const lat = parseFloat(latitude);
+    const lon = parseFloat(longitude);
+    if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+      return res.status(400).json({
+        message: 'Invalid coordinates',
+        code: 'INVALID_COORDINATES'
+      });
+    }
+
+    // Same size and format checks as report photos
+    const [photo] = normalizePhotos({ image });
+    const photoError = validatePhotos([photo]);
+    if (photoError) {
+      return res.status(photoError.status).json({
+        message: photoError.message,
+        code: photoError.code
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    if (report.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Unauthorized access" });
+    }
+
+    assertTransition(report, 'disputed', req.user, { image });
+
+    const resolvedAt = report.resolvedAt || report.updatedAt;
+    if (Date.now() - resolvedAt.getTime() > DISPUTE_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(409).json({
+        message: `Resolutions can only be disputed within ${DISPUTE_WINDOW_DAYS} days`,
+        code: 'DISPUTE_WINDOW_CLOSED'
+      });
+    }
+
+    const [stored] = await uploadPhotos([photo], { folder: 'disputes' });
+
+    report.dispute = {
+      reason,
+      image: stored.url,
+      publicId: stored.publicId,
+      location: {
+        type: 'Point',
+        coordinates: [lon, lat]
+      },
+      disputedAt: new Date(),
+      previousStatus: report.status
+    };
+
+    await transitionReport(report, 'disputed', {
+      actor: req.user,
+      details: { image },
+      note: reason,
+      location: report.dispute.location
+    });
+
+    res.status(200).json({
+      message: 'Resolution disputed. An admin will review it.',
+      report
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        message: error.message,
+        code: error.code
+      });
+    }
+    console.error("Dispute Report Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+});
+
+// Rate a resolution (1-5 with optional comment), once, by the citizen who filed the report
+router.post("/:id/rating", isAuthenticated, async (req, res) => {
+  try {
+    const { score, comment } = req.body;
+    const numericScore = Number(score);
+
+    if (!Number.isInteger(numericScore) || numericScore < 1 || numericScore > 5) {
+      return res.status(400).json({
+        message: 'Rating must be a whole number from 1 to 5',
+        code: 'INVALID_RATING'
+      });
+    }
+
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    if (report.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Unauthorized access" });
+    }
+
+    if (!['resolved', 'permanent-resolved'].includes(report.status)) {
+      return res.status(409).json({
+        message: 'Only resolved reports can be rated',
+        code: 'NOT_RESOLVED'
+      });
+    }
+
+    if (report.rating?.score) {
+      return res.status(409).json({
+        message: 'This report has already been rated',
+        code: 'ALREADY_RATED'
+      });
+    }
+
+    report.rating = {
+      score: numericScore,
+      comment,
+      ratedAt: new Date()
+    };
+    await report.save();
+
+    res.status(200).json({
+      message: 'Thank you for your feedback',
+      rating: report.rating
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation Error',
+        error: error.message,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    console.error("Rate Report Error:", error);
+    res.status(500).json({ message: "Internal Server Error" });
+  }
+});
+
+// Status history of a report, visible to the citizen who filed it
+router.get("/:id/timeline", isAuthenticated, async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id).select('user status');
+    if (!report) {
+      return res.status(404).json({ message: "Report not found" });
+    }
+
+    if (report.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Unauthorized access" });
+    }
+
+    const timeline = await getReportTimeline(report._id);
+    res.json({
+      reportId: report._id,
+      status: report.status,
+      timeline
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 router.get("/:id", isAuthenticated, async (req, res) => {
   try {
     const report = await Report.findById(req.params.id)
@@ -1,47 +1,124 @@
 import express from 'express';
 import User from '../models/User.js';
+import { isAuthenticated } from '../middleware/auth.js';
+import { getPointsHistory } from '../services/pointsLedgerService.js';
+import { LEADERBOARD_PERIODS, getLeaderboard, getUserStanding } from '../services/leaderboardService.js';
+import { AREAS, getAreaForCoordinates, isValidArea } from '../utils/areas.js';
 
 const router = express.Router();
 
+// Current balance and the ledger entries behind it, newest first
+router.get('/me/points', isAuthenticated, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { transactions, total } = await getPointsHistory(req.user._id, { page, limit });
+
+    res.json({
+      points: req.user.points,
+      reportCount: req.user.reportCount,
+      transactions,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('Error fetching points history:', error);
+    res.status(500).json({ 
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+});
 
+// Leaderboard for a period (weekly, monthly, all-time) and optional area,
+// with the caller's own standing even when they are outside the top N
+router.get('/leaderboard', isAuthenticated, async (req, res) => {
+  try {
+    const period = req.query.period || 'all-time';
+    const area = req.query.area || 'all';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
 
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+      return res.status(400).json({
+        message: `Period must be one of: ${LEADERBOARD_PERIODS.join(', ')}`,
+        code: 'INVALID_PERIOD'
+      });
+    }
+    if (!isValidArea(area)) {
+      return res.status(400).json({ message: 'Unknown area', code: 'INVALID_AREA' });
+    }
 
-router.get('/top-reporters', async (req, res) => {
+    // Standing is read after the snapshot so both come from the same refresh
+    const snapshot = await getLeaderboard(period, area);
+    const me = await getUserStanding(req.user, period, area);
+
+    res.json({
+      period,
+      area,
+      periodStart: snapshot.periodStart,
+      computedAt: snapshot.computedAt,
+      leaders: snapshot.entries.slice(0, limit),
+      me
+    });
+  } catch (error) {
+    console.error('Error fetching leaderboard:', error);
+    res.status(500).json({ 
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+});
+
+// Named leaderboard areas, and the caller's home area
+router.get('/leaderboard/areas', isAuthenticated, (req, res) => {
+  res.json({
+    areas: AREAS.map(({ key, name }) => ({ key, name })),
+    homeArea: req.user.homeArea || null
+  });
+});
+
+// Set the caller's home area from a named area key or a location
+router.patch('/me/home-area', isAuthenticated, async (req, res) => {
   try {
-    // Get users with their actual active report counts
-    const topReporters = await User.aggregate([
-      {
-        $match: { role: 'user' }
-      },
-      {
-        $lookup: {
-          from: "reports",
-          localField: "_id",
-          foreignField: "user",
-          as: "reports"
-        }
-      },
-      {
-        $addFields: {
-          actualReportCount: { $size: "$reports" }
-        }
-      },
-      {
-        $sort: { actualReportCount: -1, points: -1 }
-      },
-      {
-        $limit: 10
-      },
-      {
-        $project: {
-          username: 1,
-          profileImage: 1,
-          reportCount: "$actualReportCount",
-          points: 1,
-          _id: 1
-        }
+    const { area, latitude, longitude } = req.body;
+    let homeArea;
+    if (area) {
+      if (!AREAS.some(item => item.key === area)) {
+        return res.status(400).json({ message: 'Unknown area', code: 'INVALID_AREA' });
+      }
+      homeArea = area;
+    } else {
+      const lat = parseFloat(latitude);
+      const lon = parseFloat(longitude);
+      if (isNaN(lat) || isNaN(lon)) {
+        return res.status(400).json({ message: 'Area or location required', code: 'MISSING_AREA' });
       }
-    ]);
+      homeArea = getAreaForCoordinates([lon, lat]);
+    }
+
+    await User.findByIdAndUpdate(req.user._id, { homeArea });
+    res.json({ homeArea });
+  } catch (error) {
+    console.error('Error updating home area:', error);
+    res.status(500).json({ 
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+});
+
+// All-time top 10, served from the leaderboard snapshot
+router.get('/top-reporters', async (req, res) => {
+  try {
+    const snapshot = await getLeaderboard('all-time');
+    const topReporters = snapshot.entries.slice(0, 10).map(entry => ({
+      _id: entry.user,
+      username: entry.username,
+      profileImage: entry.profileImage,
+      reportCount: entry.reportCount,
+      points: entry.points
+    }));
 
     res.json(topReporters);
   } catch (error) {
@@ -0,0 +1,26 @@
+// scripts/inviteAdmin.js
+// Invite an admin from the command line, e.g. to create the first admin
+// account. The link is emailed and also printed here.
+// Usage: npm run invite:admin -- <email>
+import { connectDB } from '../lib/db.js';
+import { createInvitation } from '../services/invitationService.js';
+
+const invite = async () => {
+  const email = process.argv[2];
+  if (!email) {
+    console.error('Usage: npm run invite:admin -- <email>');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const { invitation, link } = await createInvitation({ email, role: 'admin' });
+  console.log(`Invitation sent to ${invitation.email} (expires ${invitation.expiresAt.toISOString()})`);
+  console.log(link);
+  process.exit(0);
+};
+
+invite().catch((error) => {
+  console.error('Invite failed:', error.message);
+  process.exit(1);
+});
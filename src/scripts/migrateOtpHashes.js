@@ -0,0 +1,36 @@
+// scripts/migrateOtpHashes.js
+// Replace plain verification / reset codes stored before codes were hashed
+// with their hashes. Safe to run more than once.
+// Usage: npm run otp:migrate
+import User from '../models/User.js';
+import { connectDB } from '../lib/db.js';
+import { hashOtp } from '../utils/otp.js';
+
+const OTP_FIELDS = ['verificationCode', 'resetPasswordOTP'];
+
+const migrate = async () => {
+  await connectDB();
+
+  for (const field of OTP_FIELDS) {
+    // Plain codes were stored as numbers
+    const users = await User.collection
+      .find({ [field]: { $type: 'number' } }, { projection: { [field]: 1 } })
+      .toArray();
+
+    for (const user of users) {
+      await User.collection.updateOne(
+        { _id: user._id, [field]: user[field] },
+        { $set: { [field]: hashOtp(user[field]) } }
+      );
+    }
+    console.log(`${field}: hashed ${users.length} pending codes`);
+  }
+
+  console.log('Migration complete!');
+  process.exit(0);
+};
+
+migrate().catch((error) => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,23 @@
+// scripts/rebuildPoints.js
+// Recompute User.points and reportCount from the points ledger.
+// Usage: npm run points:rebuild
+import { connectDB } from '../lib/db.js';
+import { rebuildPointBalances } from '../services/pointsLedgerService.js';
+
+const rebuild = async () => {
+  await connectDB();
+
+  const { seeded, checked, corrected } = await rebuildPointBalances();
+
+  if (seeded > 0) {
+    console.log(`Seeded opening balances for ${seeded} users`);
+  }
+  console.log(`Checked ${checked} users, corrected ${corrected}`);
+  console.log('Rebuild complete!');
+  process.exit(0);
+};
+
+rebuild().catch((error) => {
+  console.error('Rebuild failed:', error);
+  process.exit(1);
+});
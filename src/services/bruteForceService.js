@@ -0,0 +1,115 @@
+import AuthAttempt from "../models/AuthAttempt.js";
+import User from "../models/User.js";
+import ErrorHandler from "../middleware/error.js";
+import { sendEmail } from "../utils/sendEmail.js";
+import { generateAccountLockedTemplate } from "../utils/emailTemplates.js";
+
+const MAX_ACCOUNT_FAILURES = Number(process.env.AUTH_MAX_ACCOUNT_FAILURES) || 5;
+const MAX_IP_FAILURES = Number(process.env.AUTH_MAX_IP_FAILURES) || 20;
+const LOCKOUT_MINUTES = Number(process.env.AUTH_LOCKOUT_MINUTES) || 15;
+// Failures before each further attempt has to wait (1 s, 2 s, 4 s ... up to a minute)
+const DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_SECONDS = 60;
+const COUNTER_TTL_MS = 60 * 60 * 1000;
+
+const attemptKeys = (action, { account, ip }) => {
+  const keys = [];
+  if (account) keys.push({ key: `${action}:account:${String(account).toLowerCase()}`, max: MAX_ACCOUNT_FAILURES, account: true });
+  if (ip) keys.push({ key: `${action}:ip:${ip}`, max: MAX_IP_FAILURES, account: false });
+  return keys;
+};
+
+const requiredDelaySeconds = (failures) => {
+  if (failures < DELAY_AFTER_FAILURES) return 0;
+  return Math.min(2 ** (failures - DELAY_AFTER_FAILURES), MAX_DELAY_SECONDS);
+};
+
+// Returns an ErrorHandler (429) when the account or IP is locked or has to
+// wait before trying again, otherwise null
+export const checkAuthAttempts = async (action, identity) => {
+  const keys = attemptKeys(action, identity);
+  const attempts = await AuthAttempt.find({ key: { $in: keys.map(item => item.key) } });
+  const now = Date.now();
+
+  for (const attempt of attempts) {
+    if (attempt.lockedUntil && attempt.lockedUntil > now) {
+      const minutes = Math.ceil((attempt.lockedUntil - now) / 60000);
+      return new ErrorHandler(
+        `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+        429,
+        'ACCOUNT_LOCKED'
+      );
+    }
+    const waitUntil = attempt.lastFailureAt?.getTime() + requiredDelaySeconds(attempt.failures) * 1000;
+    if (waitUntil > now) {
+      const seconds = Math.ceil((waitUntil - now) / 1000);
+      return new ErrorHandler(
+        `Too many failed attempts. Try again in ${seconds} second${seconds === 1 ? '' : 's'}.`,
+        429,
+        'TOO_MANY_ATTEMPTS'
+      );
+    }
+  }
+  return null;
+};
+
+// Let every admin know when an admin account gets locked
+const notifyAdminLockout = async (email, action, ip) => {
+  try {
+    const lockedUser = await User.findOne({ email }).select('username email role');
+    if (lockedUser?.role !== 'admin') return;
+
+    const admins = await User.find({ role: 'admin', accountVerified: true }).select('username email');
+    for (const admin of admins) {
+      await sendEmail({
+        email: admin.email,
+        subject: "GreenSnap admin account locked",
+        message: generateAccountLockedTemplate(admin.username, {
+          lockedEmail: lockedUser.email,
+          action,
+          ip,
+          minutes: LOCKOUT_MINUTES
+        })
+      });
+    }
+  } catch (emailError) {
+    console.error('Lockout notification failed:', emailError);
+  }
+};
+
+export const recordFailedAttempt = async (action, identity) => {
+  const now = new Date();
+  let accountLocked = false;
+
+  for (const { key, max, account } of attemptKeys(action, identity)) {
+    const attempt = await AuthAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + COUNTER_TTL_MS) }
+      },
+      { upsert: true, new: true }
+    );
+    if (attempt.failures >= max) {
+      const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+      // Start counting afresh once the lock runs out
+      await AuthAttempt.updateOne(
+        { key },
+        { lockedUntil, failures: 0, expiresAt: new Date(lockedUntil.getTime() + COUNTER_TTL_MS) }
+      );
+      if (account) accountLocked = true;
+      console.warn(`Locked ${key} for ${LOCKOUT_MINUTES} minutes after ${attempt.failures} failed attempts`);
+    }
+  }
+
+  if (accountLocked && identity.account) {
+    await notifyAdminLockout(String(identity.account).toLowerCase(), action, identity.ip);
+  }
+  return { accountLocked };
+};
+
+// A successful attempt wipes the account's counter for the action
+export const clearFailedAttempts = async (action, { account }) => {
+  if (!account) return;
+  await AuthAttempt.deleteOne({ key: `${action}:account:${String(account).toLowerCase()}` });
+};
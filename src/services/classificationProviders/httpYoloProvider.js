@@ -0,0 +1,53 @@
+import fetch from 'node-fetch';
+import FormData from 'form-data';
+
+// Self-hosted YOLO inference server (e.g. a FastAPI wrapper around ultralytics).
+// Expects a multipart `file` upload and answers with `{ detections: [...] }`
+// or the Ultralytics HUB response shape.
+const YOLO_SERVER_URL = process.env.YOLO_SERVER_URL || "http://localhost:8000/predict";
+
+const httpYoloProvider = {
+  name: "http",
+  modelVersion: process.env.YOLO_MODEL_VERSION || "YOLOv11",
+
+  async detect(buffer, { signal }) {
+    const form = new FormData();
+    form.append('file', buffer, {
+      filename: 'image.jpg',
+      contentType: 'image/jpeg',
+      knownLength: buffer.length
+    });
+    form.append('conf', '0.25');
+    form.append('iou', '0.45');
+
+    const headers = form.getHeaders();
+    if (process.env.YOLO_SERVER_API_KEY) {
+      headers["x-api-key"] = process.env.YOLO_SERVER_API_KEY;
+    }
+
+    const response = await fetch(YOLO_SERVER_URL, {
+      method: "POST",
+      headers,
+      body: form,
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`API_ERROR: ${response.status} - ${errorText}`);
+    }
+
+    const data = await response.json();
+
+    if (Array.isArray(data.detections)) {
+      return data.detections;
+    } else if (data.images?.[0]?.results) {
+      return data.images[0].results;
+    } else if (data.predictions?.[0]?.detections) {
+      return data.predictions[0].detections;
+    }
+    return [];
+  }
+};
+
+export default httpYoloProvider;
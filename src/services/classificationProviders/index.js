@@ -0,0 +1,20 @@
+import ultralyticsProvider from './ultralyticsProvider.js';
+import httpYoloProvider from './httpYoloProvider.js';
+import localProvider from './localProvider.js';
+
+const providers = {
+  [ultralyticsProvider.name]: ultralyticsProvider,
+  [httpYoloProvider.name]: httpYoloProvider,
+  [localProvider.name]: localProvider
+};
+
+// Selected with CLASSIFIER_PROVIDER (ultralytics | http | local)
+export const getClassificationProvider = () => {
+  const name = process.env.CLASSIFIER_PROVIDER || ultralyticsProvider.name;
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`UNKNOWN_PROVIDER: ${name}`);
+  }
+  return provider;
+};
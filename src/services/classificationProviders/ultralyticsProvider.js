@@ -0,0 +1,57 @@
+import fetch from 'node-fetch';
+import FormData from 'form-data';
+
+// Ultralytics HUB hosted inference
+const ULTRALYTICS_URL = process.env.ULTRALYTICS_URL || "https://predict.ultralytics.com";
+const ULTRALYTICS_MODEL = process.env.ULTRALYTICS_MODEL || "https://hub.ultralytics.com/models/8GivnHuJHLryISPmPIbB";
+
+const ultralyticsProvider = {
+  name: "ultralytics",
+  modelVersion: "YOLOv11",
+
+  async detect(buffer, { signal }) {
+    const form = new FormData();
+    form.append('file', buffer, {
+      filename: 'image.jpg',
+      contentType: 'image/jpeg',
+      knownLength: buffer.length
+    });
+
+    const payload = {
+      "model": ULTRALYTICS_MODEL,
+      imgsz: 640,
+      conf: 0.25,
+      iou: 0.45
+    };
+
+    Object.entries(payload).forEach(([key, value]) => {
+      form.append(key, value.toString());
+    });
+
+    const response = await fetch(ULTRALYTICS_URL, {
+      method: "POST",
+      headers: {
+        "x-api-key": process.env.ULTRALYTICS_API_KEY,
+        ...form.getHeaders()
+      },
+      body: form,
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`API_ERROR: ${response.status} - ${errorText}`);
+    }
+
+    const data = await response.json();
+
+    if (data.images?.[0]?.results) {
+      return data.images[0].results;
+    } else if (data.predictions?.[0]?.detections) {
+      return data.predictions[0].detections;
+    }
+    return [];
+  }
+};
+
+export default ultralyticsProvider;
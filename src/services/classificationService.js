@@ -1,77 +1,45 @@
-import fetch from 'node-fetch';
 import { Buffer } from 'buffer';
-import FormData from 'form-data';
 import { createHash } from 'crypto';
+import { getClassificationProvider } from './classificationProviders/index.js';
+import { getDetectionCategory, summarizeCategories } from '../utils/wasteTaxonomy.js';
 
 const MIN_CONFIDENCE = 0.65;
 const HIGH_CONFIDENCE_THRESHOLD = 0.85;
 const imageCache = new Map();
 
 export default async function classifyImage(imageBase64) {
-  const hash = createHash('md5').update(imageBase64).digest('hex');
+  const provider = getClassificationProvider();
+  const hash = createHash('md5').update(`${provider.name}:${imageBase64}`).digest('hex');
   
   if (imageCache.has(hash)) {
     return imageCache.get(hash);
   }
 
   const rawBase64 = imageBase64.replace(/^data:image\/\w+;base64,/, '');
-  const ULTRALYTICS_API_KEY = process.env.ULTRALYTICS_API_KEY;
 
   try {
-    const form = new FormData();
-    form.append('file', Buffer.from(rawBase64, 'base64'), {
-      filename: 'image.jpg',
-      contentType: 'image/jpeg',
-      knownLength: Buffer.byteLength(rawBase64, 'base64')
-    });
-
-    const payload = {
-      "model": "https://hub.ultralytics.com/models/8GivnHuJHLryISPmPIbB",
-      imgsz: 640,
-      conf: 0.25,
-      iou: 0.45
-    };
-    
-    Object.entries(payload).forEach(([key, value]) => {
-      form.append(key, value.toString());
-    });
-
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), 30000);
 
-    const response = await fetch("https://predict.ultralytics.com", {
-      method: "POST",
-      headers: {
-        "x-api-key": ULTRALYTICS_API_KEY,
-        ...form.getHeaders()
-      },
-      body: form,
-      signal: controller.signal
-    });
-    clearTimeout(timeout);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`API_ERROR: ${response.status} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    
-    // Extract detections
-    let detections = [];
-    if (data.images?.[0]?.results) {
-      detections = data.images[0].results;
-    } else if (data.predictions?.[0]?.detections) {
-      detections = data.predictions[0].detections;
+    let detections;
+    try {
+      detections = await provider.detect(Buffer.from(rawBase64, 'base64'), {
+        signal: controller.signal
+      });
+    } finally {
+      clearTimeout(timeout);
     }
 
-    // CORRECTED: Class 1 is waste, class 0 is non-waste
-    const wasteDetections = detections.filter(det => det.class === 1);
+    // Any class that maps to a waste category counts as waste (class 1 is
+    // the generic waste class, class 0 is non-waste)
+    const categorized = detections.map(det => ({ ...det, category: getDetectionCategory(det) }));
+    const wasteDetections = categorized.filter(det => det.category);
     const maxConfidence = wasteDetections.length > 0 
       ? Math.max(...wasteDetections.map(det => det.confidence)) 
       : 0;
 
     const isWaste = maxConfidence >= 0.25;
+    const { categories, suggestedCategory, suggestedReportType } = summarizeCategories(wasteDetections, 0.25);
     let verification = "unverified";
     
     if (isWaste) {
@@ -89,7 +57,18 @@ export default async function classifyImage(imageBase64) {
       verification,
       isHighConfidence: maxConfidence >= HIGH_CONFIDENCE_THRESHOLD,
       isVerifiedWaste: isWaste && maxConfidence >= HIGH_CONFIDENCE_THRESHOLD,
-      modelVersion: "YOLOv11"
+      category: suggestedCategory,
+      suggestedReportType,
+      categories,
+      modelVersion: provider.modelVersion,
+      detections: categorized.map(det => ({
+        class: det.class,
+        name: det.name,
+        category: det.category,
+        confidence: det.confidence,
+        box: det.box
+      })),
+      classifiedAt: new Date()
     };
 
     imageCache.set(hash, result);
@@ -0,0 +1,55 @@
+import Report from "../models/Report.js";
+import { hammingDistance } from "../utils/imageHash.js";
+
+const DUPLICATE_RADIUS_METERS = Number(process.env.DUPLICATE_RADIUS_METERS) || 50;
+const DUPLICATE_WINDOW_HOURS = Number(process.env.DUPLICATE_WINDOW_HOURS) || 72;
+const DUPLICATE_HASH_THRESHOLD = Number(process.env.DUPLICATE_HASH_THRESHOLD) || 10;
+
+// Reports that still represent outstanding work. Unreviewed (needs-review)
+// reports are left out: if one is discarded, its duplicates would be stranded.
+export const OPEN_REPORT_STATUSES = ['pending', 'in-progress'];
+
+// Find the closest open report filed within the radius and time window whose
+// image is perceptually similar to the new one
+export const findDuplicateReport = async ({ coordinates, imageHash }) => {
+  if (!imageHash) return null;
+
+  const windowStart = new Date(Date.now() - DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000);
+  const candidates = await Report.find({
+    status: { $in: OPEN_REPORT_STATUSES },
+    createdAt: { $gte: windowStart },
+    imageHash: { $exists: true },
+    location: {
+      $near: {
+        $geometry: { type: 'Point', coordinates },
+        $maxDistance: DUPLICATE_RADIUS_METERS
+      }
+    }
+  })
+    .limit(20)
+    .select('imageHash status user');
+
+  return candidates.find(candidate =>
+    hammingDistance(candidate.imageHash, imageHash) <= DUPLICATE_HASH_THRESHOLD
+  ) || null;
+};
+
+// Record a "me too" confirmation on the original report
+export const linkDuplicate = async (original, duplicate) => {
+  await Report.findByIdAndUpdate(original._id, {
+    $push: {
+      confirmations: {
+        report: duplicate._id,
+        user: duplicate.user,
+        confirmedAt: new Date()
+      }
+    }
+  });
+};
+
+export const unlinkDuplicate = async (duplicate) => {
+  if (!duplicate.duplicateOf) return;
+  await Report.findByIdAndUpdate(duplicate.duplicateOf, {
+    $pull: { confirmations: { report: duplicate._id } }
+  });
+};
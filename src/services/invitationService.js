@@ -0,0 +1,148 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Invitation from "../models/Invitation.js";
+import User from "../models/User.js";
+import ErrorHandler from "../middleware/error.js";
+import { hashOtp, verifyOtp } from "../utils/otp.js";
+import { sendEmail } from "../utils/sendEmail.js";
+import { generateInvitationTemplate } from "../utils/emailTemplates.js";
+
+// Keeps invitation tokens from being accepted anywhere else
+const INVITE_AUDIENCE = "invitation";
+const INVITE_EXPIRE_HOURS = Number(process.env.INVITE_EXPIRE_HOURS) || 72;
+// Page of the dashboard/app that takes the token and asks for a password
+const INVITE_URL = process.env.INVITE_URL || "http://localhost:5173/accept-invite";
+
+export const INVITATION_ROLES = ['supervisor', 'admin'];
+
+export const buildInvitationLink = (token) => `${INVITE_URL}?token=${encodeURIComponent(token)}`;
+
+// Give the invitation a fresh link (invalidating any earlier one) and email it.
+// Returns the link.
+export const sendInvitation = async (invitation, inviter) => {
+  const nonce = crypto.randomBytes(32).toString("hex");
+  invitation.tokenHash = hashOtp(nonce);
+  invitation.expiresAt = new Date(Date.now() + INVITE_EXPIRE_HOURS * 60 * 60 * 1000);
+  invitation.lastSentAt = new Date();
+  invitation.sendCount = (invitation.sendCount || 0) + 1;
+  await invitation.save();
+
+  const token = jwt.sign(
+    { invitationId: invitation._id, nonce, purpose: "invitation" },
+    process.env.JWT_SECRET,
+    { expiresIn: `${INVITE_EXPIRE_HOURS}h`, audience: INVITE_AUDIENCE }
+  );
+  const link = buildInvitationLink(token);
+
+  await sendEmail({
+    email: invitation.email,
+    subject: `You're invited to join GreenSnap as ${invitation.role === "admin" ? "an admin" : "a supervisor"}`,
+    message: generateInvitationTemplate(link, {
+      role: invitation.role,
+      inviterName: inviter?.username,
+      expiresAt: invitation.expiresAt
+    })
+  });
+  return link;
+};
+
+// Existing accounts may have been registered with different letter case
+const CASE_INSENSITIVE = { locale: "en", strength: 2 };
+
+export const createInvitation = async ({ email: rawEmail, role, inviter }) => {
+  if (!rawEmail || !INVITATION_ROLES.includes(role)) {
+    throw new ErrorHandler(`Email and a role (${INVITATION_ROLES.join(", ")}) are required`, 400);
+  }
+  const email = `${rawEmail}`.trim().toLowerCase();
+  // Check against the account rules now rather than when the invite is accepted
+  const emailError = new User({ email }).validateSync("email")?.errors.email;
+  if (emailError) {
+    throw new ErrorHandler(emailError.message, 400);
+  }
+  const existingUser = await User.findOne({ email, accountVerified: true }).collation(CASE_INSENSITIVE);
+  if (existingUser) {
+    throw new ErrorHandler("Email is already registered", 400);
+  }
+  const pending = await Invitation.findOne({
+    email,
+    acceptedAt: { $exists: false },
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  });
+  if (pending) {
+    throw new ErrorHandler("This email already has a pending invitation. Resend it instead.", 409);
+  }
+
+  const invitation = new Invitation({
+    email,
+    role,
+    invitedBy: inviter?._id, // Unset for invitations created from the CLI
+    expiresAt: new Date()
+  });
+  const link = await sendInvitation(invitation, inviter);
+  return { invitation, link };
+};
+
+// Resolve an invitation link token to a pending invitation, or throw
+export const verifyInvitationToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: INVITE_AUDIENCE });
+  } catch (error) {
+    throw new ErrorHandler("This invitation link has expired or is invalid.", 400, "INVALID_INVITATION");
+  }
+  if (decoded.purpose !== "invitation") {
+    throw new ErrorHandler("This invitation link has expired or is invalid.", 400, "INVALID_INVITATION");
+  }
+
+  const invitation = await Invitation.findById(decoded.invitationId).select("+tokenHash");
+  // A resent invitation has a new nonce, so older links stop working
+  if (!invitation || invitation.status !== "pending" || !verifyOtp(decoded.nonce, invitation.tokenHash)) {
+    throw new ErrorHandler("This invitation link has expired or is invalid.", 400, "INVALID_INVITATION");
+  }
+  return invitation;
+};
+
+// Create the invitee's account with the password they chose and use up the invitation
+export const acceptInvitation = async (token, { username, password }) => {
+  const invitation = await verifyInvitationToken(token);
+
+  const existingUser = await User.findOne({ email: invitation.email, accountVerified: true })
+    .collation(CASE_INSENSITIVE);
+  if (existingUser) {
+    throw new ErrorHandler("Email is already registered", 400);
+  }
+
+  // Claim the invitation first so the link can't be used twice concurrently
+  const claimed = await Invitation.findOneAndUpdate(
+    { _id: invitation._id, acceptedAt: { $exists: false }, tokenHash: invitation.tokenHash },
+    { acceptedAt: new Date(), $unset: { tokenHash: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new ErrorHandler("This invitation link has expired or is invalid.", 400, "INVALID_INVITATION");
+  }
+
+  try {
+    // Drop abandoned self-registrations holding the email
+    await User.deleteMany({ email: invitation.email, accountVerified: false }).collation(CASE_INSENSITIVE);
+    const user = await User.create({
+      username,
+      email: invitation.email,
+      password,
+      profileImage: `https://api.dicebear.com/7.x/avataaars/png?seed=${username}`,
+      role: invitation.role,
+      accountVerified: true // The invitation link proves the email
+    });
+    claimed.acceptedUser = user._id;
+    await claimed.save();
+    return { user, invitation: claimed };
+  } catch (error) {
+    // Let the invitee retry (e.g. username taken) with the same link
+    await Invitation.updateOne(
+      { _id: invitation._id },
+      { $unset: { acceptedAt: 1 }, tokenHash: invitation.tokenHash }
+    );
+    throw error;
+  }
+};
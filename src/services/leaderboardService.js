@@ -0,0 +1,162 @@
+import moment from "moment-timezone";
+import User from "../models/User.js";
+import PointsTransaction from "../models/PointsTransaction.js";
+import LeaderboardSnapshot from "../models/LeaderboardSnapshot.js";
+import LeaderboardStanding from "../models/LeaderboardStanding.js";
+import { isValidArea } from "../utils/areas.js";
+
+export const LEADERBOARD_PERIODS = ['weekly', 'monthly', 'all-time'];
+
+const TIME_ZONE = process.env.LEADERBOARD_TIMEZONE || 'Asia/Karachi';
+const SNAPSHOT_SIZE = Number(process.env.LEADERBOARD_SIZE) || 50;
+const MAX_AGE_MINUTES = Number(process.env.LEADERBOARD_MAX_AGE_MINUTES) || 30;
+
+export const getPeriodStart = (period) => {
+  if (period === 'weekly') return moment().tz(TIME_ZONE).startOf('isoWeek').toDate();
+  if (period === 'monthly') return moment().tz(TIME_ZONE).startOf('month').toDate();
+  return null;
+};
+
+// All-time standings across every area are simply User.points; anything
+// scoped by period or area is summed from the points ledger
+const usesBalances = (period, area) => period === 'all-time' && area === 'all';
+
+const ledgerMatch = (period, area) => {
+  const match = {};
+  const periodStart = getPeriodStart(period);
+  if (periodStart) {
+    match.createdAt = { $gte: periodStart };
+    // Carried-over balances weren't earned in the period they were recorded
+    match.reason = { $ne: 'opening_balance' };
+  }
+  if (area !== 'all') match.area = area;
+  return match;
+};
+
+// Tied users share a rank
+const rankEntries = (entries) => {
+  let rank = 0;
+  return entries.map((entry, index) => {
+    if (index === 0 || entry.points < entries[index - 1].points) rank = index + 1;
+    return { ...entry, rank };
+  });
+};
+
+const computeBalanceEntries = async () => {
+  const users = await User.find({ role: 'user', points: { $gt: 0 } })
+    .sort({ points: -1 })
+    .limit(SNAPSHOT_SIZE)
+    .select('username profileImage reportCount points');
+  return rankEntries(users.map(user => ({
+    user: user._id,
+    username: user.username,
+    profileImage: user.profileImage,
+    reportCount: user.reportCount,
+    points: user.points
+  })));
+};
+
+// Every user's total in the scope, ranked
+const computeLedgerStandings = async (period, area) => {
+  const totals = await PointsTransaction.aggregate([
+    { $match: ledgerMatch(period, area) },
+    { $group: { _id: "$user", points: { $sum: "$amount" } } },
+    { $match: { points: { $gt: 0 } } },
+    { $sort: { points: -1 } }
+  ]);
+  return rankEntries(totals.map(({ _id, points }) => ({ user: _id, points })));
+};
+
+// Top standings with the users' profile details (deleted users are skipped)
+const withProfiles = async (standings) => {
+  const users = await User.find({ _id: { $in: standings.map(entry => entry.user) } })
+    .select('username profileImage reportCount');
+  const byId = new Map(users.map(user => [user._id.toString(), user]));
+  return standings
+    .filter(entry => byId.has(entry.user.toString()))
+    .map(entry => {
+      const user = byId.get(entry.user.toString());
+      return {
+        user: entry.user,
+        username: user.username,
+        profileImage: user.profileImage,
+        reportCount: user.reportCount,
+        points: entry.points,
+        rank: entry.rank
+      };
+    });
+};
+
+// Replace the scope's standings with the fresh ones
+const saveStandings = async (period, area, standings, computedAt) => {
+  if (standings.length > 0) {
+    await LeaderboardStanding.bulkWrite(standings.map(({ user, points, rank }) => ({
+      updateOne: {
+        filter: { period, area, user },
+        update: { $set: { points, rank, computedAt } },
+        upsert: true
+      }
+    })));
+  }
+  await LeaderboardStanding.deleteMany({ period, area, computedAt: { $lt: computedAt } });
+};
+
+export const refreshLeaderboard = async (period, area = 'all') => {
+  const computedAt = new Date();
+  let entries;
+  if (usesBalances(period, area)) {
+    entries = await computeBalanceEntries();
+  } else {
+    const standings = await computeLedgerStandings(period, area);
+    await saveStandings(period, area, standings, computedAt);
+    entries = await withProfiles(standings.slice(0, SNAPSHOT_SIZE));
+  }
+  return LeaderboardSnapshot.findOneAndUpdate(
+    { period, area },
+    { periodStart: getPeriodStart(period), entries, computedAt },
+    { upsert: true, new: true }
+  );
+};
+
+// Refresh the global boards plus every area board someone has asked for
+export const refreshAllLeaderboards = async () => {
+  const areas = (await LeaderboardSnapshot.distinct('area')).filter(isValidArea);
+  const scopes = new Set(['all', ...areas]);
+  // Drop boards for areas that are no longer valid (e.g. removed named areas)
+  await LeaderboardSnapshot.deleteMany({ area: { $nin: [...scopes] } });
+  await LeaderboardStanding.deleteMany({ area: { $nin: [...scopes] } });
+  let refreshed = 0;
+  for (const period of LEADERBOARD_PERIODS) {
+    for (const area of scopes) {
+      await refreshLeaderboard(period, area);
+      refreshed++;
+    }
+  }
+  return refreshed;
+};
+
+// Serve the snapshot, recomputing it only when it is missing, stale or from
+// a previous week/month
+export const getLeaderboard = async (period, area = 'all') => {
+  const snapshot = await LeaderboardSnapshot.findOne({ period, area });
+  const periodStart = getPeriodStart(period);
+  const stale = !snapshot
+    || Date.now() - snapshot.computedAt.getTime() > MAX_AGE_MINUTES * 60 * 1000
+    || snapshot.periodStart?.getTime() !== periodStart?.getTime();
+
+  return stale ? refreshLeaderboard(period, area) : snapshot;
+};
+
+// The user's points and rank in a scope, even when outside the snapshot.
+// Ledger scopes read the standings saved with the snapshot.
+export const getUserStanding = async (user, period, area = 'all') => {
+  if (usesBalances(period, area)) {
+    const ahead = await User.countDocuments({ role: 'user', points: { $gt: user.points } });
+    return { points: user.points, rank: user.points > 0 ? ahead + 1 : null };
+  }
+
+  const standing = await LeaderboardStanding.findOne({ period, area, user: user._id });
+  return standing
+    ? { points: standing.points, rank: standing.rank }
+    : { points: 0, rank: null };
+};
@@ -0,0 +1,56 @@
+import Report from "../models/Report.js";
+import { listImages, deleteImage } from "./mediaStorage.js";
+
+// Orphans younger than this are left alone: the upload may belong to a
+// report that is still being saved
+const GRACE_PERIOD_HOURS = Number(process.env.MEDIA_GC_GRACE_HOURS) || 24;
+
+const getReferencedPublicIds = async () => {
+  const reports = await Report.find()
+    .select('publicId media.publicId resolvedPublicId resolvedMedia.publicId dispute.publicId');
+
+  const referenced = new Set();
+  for (const report of reports) {
+    report.getMediaPublicIds().forEach(id => referenced.add(id));
+  }
+  return referenced;
+};
+
+// Compare stored media against every publicId a report references.
+// Returns orphans, split into those past the grace period (removable) and
+// those still within it.
+export const findOrphanedMedia = async () => {
+  const [stored, referenced] = await Promise.all([
+    listImages(),
+    getReferencedPublicIds()
+  ]);
+
+  const cutoff = Date.now() - GRACE_PERIOD_HOURS * 60 * 60 * 1000;
+  const orphans = stored.filter(item => !referenced.has(item.publicId));
+
+  return {
+    storedCount: stored.length,
+    referencedCount: referenced.size,
+    gracePeriodHours: GRACE_PERIOD_HOURS,
+    removable: orphans.filter(item => new Date(item.createdAt).getTime() < cutoff),
+    withinGracePeriod: orphans.filter(item => new Date(item.createdAt).getTime() >= cutoff)
+  };
+};
+
+// Delete orphans past the grace period; with dryRun only report them
+export const sweepOrphanedMedia = async ({ dryRun = false } = {}) => {
+  const result = await findOrphanedMedia();
+  if (dryRun) return { ...result, deleted: [], failed: [] };
+
+  const deleted = [];
+  const failed = [];
+  for (const item of result.removable) {
+    try {
+      await deleteImage(item.publicId);
+      deleted.push(item.publicId);
+    } catch (error) {
+      failed.push({ publicId: item.publicId, error: error.message });
+    }
+  }
+  return { ...result, deleted, failed };
+};
@@ -0,0 +1,64 @@
+import sharp from 'sharp';
+import ErrorHandler from '../middleware/error.js';
+import { getStorageProvider } from './storageProviders/index.js';
+
+const UPLOAD_TIMEOUT_MS = 15000;
+
+// Every folder the app stores media in
+export const MEDIA_FOLDERS = ['reports', 'resolved-reports', 'disputes'];
+
+// Run a storage call with the shared timeout, mapping failures to
+// STORAGE_TIMEOUT (504) and STORAGE_ERROR (500)
+const withTimeout = async (promise) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('STORAGE_TIMEOUT')), UPLOAD_TIMEOUT_MS);
+  });
+
+  try {
+    return await Promise.race([promise, timeout]);
+  } catch (error) {
+    if (error.message === 'STORAGE_TIMEOUT') {
+      throw new ErrorHandler('Image upload timed out', 504, 'STORAGE_TIMEOUT');
+    }
+    throw new ErrorHandler(`Image storage failed: ${error.message}`, 500, 'STORAGE_ERROR');
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Store an image (base64 string, with or without data URI prefix, or Buffer)
+// under `folder`. Every backend gets the same JPEG, at most 800px wide, with
+// EXIF (including GPS) stripped: sharp drops metadata unless asked to keep it.
+// Orientation is applied to the pixels first so photos don't end up sideways.
+export const uploadImage = async (image, { folder }) => {
+  const input = Buffer.isBuffer(image)
+    ? image
+    : Buffer.from(image.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+
+  let buffer;
+  try {
+    buffer = await sharp(input)
+      .rotate()
+      .resize({ width: 800, withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+  } catch (error) {
+    throw new ErrorHandler('Invalid image data', 400, 'INVALID_IMAGE_FORMAT');
+  }
+
+  return withTimeout(getStorageProvider().upload(buffer, { folder }));
+};
+
+export const deleteImage = (publicId) => {
+  return withTimeout(getStorageProvider().destroy(publicId));
+};
+
+export const getImageUrl = (publicId) => getStorageProvider().url(publicId);
+
+// All stored media as { publicId, createdAt }, across MEDIA_FOLDERS
+export const listImages = async () => {
+  const provider = getStorageProvider();
+  const lists = await Promise.all(MEDIA_FOLDERS.map(folder => provider.list(folder)));
+  return lists.flat();
+};
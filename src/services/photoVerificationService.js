@@ -0,0 +1,68 @@
+import exifr from 'exifr';
+import { calculateDistance } from '../utils/geo.js';
+
+// Photos captured longer ago than this, or further than this from the
+// submitted location, are held for review
+const MAX_PHOTO_AGE_HOURS = Number(process.env.EXIF_MAX_AGE_HOURS) || 24;
+const MAX_PHOTO_DISTANCE_METERS = Number(process.env.EXIF_MAX_DISTANCE_METERS) || 200;
+
+const readExif = async (buffer) => {
+  try {
+    const data = await exifr.parse(buffer, {
+      gps: true,
+      pick: ['DateTimeOriginal', 'CreateDate', 'Make', 'Model', 'latitude', 'longitude']
+    });
+    return data || null;
+  } catch (error) {
+    return null; // Not a format exifr understands, treat as no EXIF
+  }
+};
+
+// Compare a photo's EXIF capture time, GPS and device against what the client
+// submitted. `flags` lists the problems found: no_exif, stale_photo,
+// timestamp_mismatch, location_mismatch.
+export const verifyPhotoMetadata = async (buffer, { latitude, longitude, photoTimestamp }) => {
+  const data = await readExif(buffer);
+  const capturedAt = data?.DateTimeOriginal || data?.CreateDate;
+  const device = [data?.Make, data?.Model].filter(Boolean).join(' ') || undefined;
+
+  const exif = {
+    capturedAt: capturedAt instanceof Date ? capturedAt : undefined,
+    latitude: data?.latitude,
+    longitude: data?.longitude,
+    device
+  };
+
+  const flags = [];
+  let ageHours;
+  let timeDiffMinutes;
+  let distanceMeters;
+
+  if (!exif.capturedAt && exif.latitude === undefined) {
+    flags.push('no_exif');
+  }
+
+  if (exif.capturedAt) {
+    ageHours = (Date.now() - exif.capturedAt.getTime()) / (60 * 60 * 1000);
+    if (ageHours > MAX_PHOTO_AGE_HOURS) flags.push('stale_photo');
+
+    if (photoTimestamp) {
+      timeDiffMinutes = Math.abs(new Date(photoTimestamp).getTime() - exif.capturedAt.getTime()) / (60 * 1000);
+      if (timeDiffMinutes > MAX_PHOTO_AGE_HOURS * 60) flags.push('timestamp_mismatch');
+    }
+  }
+
+  if (exif.latitude !== undefined && exif.longitude !== undefined) {
+    distanceMeters = calculateDistance(latitude, longitude, exif.latitude, exif.longitude);
+    if (distanceMeters > MAX_PHOTO_DISTANCE_METERS) flags.push('location_mismatch');
+  }
+
+  return {
+    exif,
+    ageHours,
+    timeDiffMinutes,
+    distanceMeters,
+    flags,
+    needsReview: flags.some(flag => flag !== 'no_exif')
+  };
+};
@@ -0,0 +1,124 @@
+import mongoose from "mongoose";
+import PointsTransaction from "../models/PointsTransaction.js";
+import User from "../models/User.js";
+import Report from "../models/Report.js";
+
+// Carry a user's balance from before the ledger into it as an opening balance,
+// once per user. Entries recorded before seeding are already included in
+// User.points, so only the remainder is carried over. Returns false when the
+// user was already seeded.
+const seedOpeningBalance = async (userId) => {
+  const seeded = await User.exists({ _id: userId, pointsLedgerSeeded: true });
+  if (seeded) return false;
+
+  // Summed before claiming the seed: later entries belong to the new balance
+  const [recorded] = await PointsTransaction.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(`${userId}`) } },
+    { $group: { _id: null, points: { $sum: "$amount" } } }
+  ]);
+  const user = await User.findOneAndUpdate(
+    { _id: userId, pointsLedgerSeeded: { $ne: true } },
+    { pointsLedgerSeeded: true }
+  ).select('points');
+  if (!user) return false;
+
+  const amount = (user.points || 0) - (recorded?.points || 0);
+  if (amount !== 0) {
+    await PointsTransaction.create({
+      user: user._id,
+      amount,
+      reason: 'opening_balance',
+      note: 'Balance carried over from before the points ledger'
+    });
+  }
+  return true;
+};
+
+// Record a point change and apply it to the user's balance. `reportCountChange`
+// moves User.reportCount along with the points (+1 when a report is first
+// credited, -1 when that credit is taken back).
+export const recordPointsTransaction = async ({ user, amount, reason, report, actor, note, reportCountChange = 0 }) => {
+  if (!amount) return null;
+
+  await seedOpeningBalance(user);
+  const updatedUser = await User.findByIdAndUpdate(user, {
+    $inc: { points: amount, reportCount: reportCountChange }
+  }).select('homeArea');
+  return PointsTransaction.create({
+    user,
+    amount,
+    reason,
+    report: report?._id || report,
+    actor: actor?._id,
+    note,
+    area: report?.area || updatedUser?.homeArea
+  });
+};
+
+export const getPointsHistory = async (userId, { page = 1, limit = 20 } = {}) => {
+  const filter = { user: userId };
+  const [transactions, total] = await Promise.all([
+    PointsTransaction.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('report', 'title status reportType'),
+    PointsTransaction.countDocuments(filter)
+  ]);
+  return { transactions, total };
+};
+
+// Seed users that have not had a point change since the ledger went live
+const seedOpeningBalances = async () => {
+  const users = await User.find({ pointsLedgerSeeded: { $ne: true } }).select('_id');
+  let seeded = 0;
+  for (const user of users) {
+    if (await seedOpeningBalance(user._id)) seeded++;
+  }
+  return seeded;
+};
+
+// Recompute every user's points from the ledger, and reportCount from the
+// reports that hold a credit (older reports without pointsAwarded were
+// credited on submission)
+export const rebuildPointBalances = async () => {
+  const seeded = await seedOpeningBalances();
+
+  const [balances, reportCounts] = await Promise.all([
+    PointsTransaction.aggregate([
+      { $group: { _id: "$user", points: { $sum: "$amount" } } }
+    ]),
+    Report.aggregate([
+      { $match: { $or: [{ pointsAwarded: { $gt: 0 } }, { pointsAwarded: { $exists: false } }] } },
+      { $group: { _id: "$user", count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const totals = new Map();
+  for (const balance of balances) {
+    totals.set(balance._id.toString(), { points: balance.points, reportCount: 0 });
+  }
+  for (const { _id, count } of reportCounts) {
+    const entry = totals.get(_id.toString()) || { points: 0 };
+    totals.set(_id.toString(), { ...entry, reportCount: count });
+  }
+
+  const users = await User.find().select('points reportCount');
+  const updates = [];
+  for (const user of users) {
+    const expected = totals.get(user._id.toString()) || { points: 0, reportCount: 0 };
+    if (user.points !== expected.points || user.reportCount !== expected.reportCount) {
+      updates.push({
+        updateOne: {
+          filter: { _id: user._id },
+          update: { $set: expected }
+        }
+      });
+    }
+  }
+  if (updates.length > 0) {
+    await User.bulkWrite(updates);
+  }
+
+  return { seeded, checked: users.length, corrected: updates.length };
+};
@@ -0,0 +1,152 @@
+import User from "../models/User.js";
+import { getReportPoints, POINT_POLICIES } from "../utils/reportPoints.js";
+import { recordPointsTransaction } from "./pointsLedgerService.js";
+import { sendEmail } from "../utils/sendEmail.js";
+import { generatePointsChangeTemplate } from "../utils/emailTemplates.js";
+
+// Reports earn points in two steps: the value is held as provisionalPoints
+// while the report waits, and is credited to the reporter (pointsAwarded)
+// once the report is assigned to a supervisor. Every credit goes through the
+// points ledger.
+
+// Older reports predate pointsAwarded and were always credited on submission
+const getCreditedPoints = (report) => report.pointsAwarded ?? getReportPoints(report.reportType);
+
+// The point policy for a report's outcome; spam overrides the status policy
+const getOutcomePolicy = (report, status) => {
+  const spam = report.markedAsSpam && ['out-of-scope', 'discarded'].includes(status);
+  return spam ? POINT_POLICIES.spam : POINT_POLICIES[status];
+};
+
+// What a report is worth in its current status, after any policy deduction
+const getPolicyValue = (report) => {
+  const value = getReportPoints(report.reportType);
+  const policy = getOutcomePolicy(report, report.status);
+  return policy?.deduct > 0 ? Math.round(value * (1 - Math.min(policy.deduct, 1))) : value;
+};
+
+// Hold the report's current value until it is assigned
+export const holdReportPoints = (report) => {
+  report.provisionalPoints = getReportPoints(report.reportType);
+  return report.provisionalPoints;
+};
+
+// Move the report's credit to `target`, recording the difference. Held points
+// are settled too. Returns the change in credited points.
+const settleReportPoints = async (report, target, { reason, actor, note }) => {
+  const credited = getCreditedPoints(report);
+  const delta = target - credited;
+  let reportCountChange = 0;
+  if (credited <= 0 && target > 0) reportCountChange = 1;
+  if (credited > 0 && target <= 0) reportCountChange = -1;
+
+  report.pointsAwarded = target;
+  report.provisionalPoints = 0;
+  await recordPointsTransaction({
+    user: report.user,
+    amount: delta,
+    reason,
+    report,
+    actor,
+    note,
+    reportCountChange
+  });
+  return delta;
+};
+
+// Credit held points to the reporter. Called when the report goes in-progress.
+export const confirmReportPoints = async (report, actor) => {
+  const points = report.provisionalPoints || 0;
+  if (points <= 0) return 0;
+
+  await settleReportPoints(report, getCreditedPoints(report) + points, {
+    reason: 'report_confirmed',
+    actor
+  });
+  await report.save();
+  return points;
+};
+
+// Take back held and credited points (e.g. the report turned out to be a duplicate)
+export const revokeReportPoints = async (report, actor, reason = 'report_revoked') => {
+  const credited = getCreditedPoints(report);
+  await settleReportPoints(report, 0, { reason, actor });
+  return credited;
+};
+
+// Re-value a report after its type changed. Returns the change in credited points.
+export const revalueReportPoints = async (report, previousType, actor) => {
+  if (report.provisionalPoints > 0) {
+    holdReportPoints(report);
+    return 0;
+  }
+
+  const credited = report.pointsAwarded ?? getReportPoints(previousType);
+  if (credited <= 0) return 0;
+
+  // Keep the legacy fallback pointing at what was actually credited
+  report.pointsAwarded = credited;
+  // Out-of-scope and spam deductions carry over to the new value
+  return settleReportPoints(report, getPolicyValue(report), {
+    reason: 'report_reclassified',
+    actor,
+    note: `${previousType} -> ${report.reportType}`
+  });
+};
+
+const notifyPointsChange = async (report, amount, reason) => {
+  try {
+    const user = await User.findById(report.user).select('username email');
+    if (!user?.email) return;
+    await sendEmail({
+      email: user.email,
+      subject: amount > 0 ? "You earned GreenSnap points" : "Your GreenSnap points were adjusted",
+      message: generatePointsChangeTemplate(user.username, {
+        amount,
+        reason,
+        reportTitle: report.title
+      })
+    });
+  } catch (emailError) {
+    console.error('Points notification failed:', emailError);
+  }
+};
+
+// Apply the point policy for the status a report just moved to, and let the
+// reporter know about any change. Called from transitionReport.
+export const applyOutcomePoints = async (report, to, actor) => {
+  if (to === 'in-progress') {
+    await confirmReportPoints(report, actor);
+    return 0;
+  }
+
+  const spam = report.markedAsSpam && ['out-of-scope', 'discarded'].includes(to);
+  const policy = getOutcomePolicy(report, to);
+  if (!policy) return 0;
+
+  let amount = 0;
+  let reason;
+  if (policy.bonus > 0 && !report.bonusPoints) {
+    reason = 'report_bonus';
+    amount = policy.bonus;
+    report.bonusPoints = amount;
+    await recordPointsTransaction({ user: report.user, amount, reason, report, actor });
+  } else if (policy.deduct !== undefined) {
+    reason = spam ? 'report_spam' : `report_${to.replace(/-/g, '_')}`;
+    // Settle at the report's value after the deduction. Out-of-scope is only
+    // reachable while points are held, so it credits what is left of them
+    // (nothing for spam); credited points only ever go down here.
+    const held = report.provisionalPoints || 0;
+    amount = await settleReportPoints(report, Math.min(getPolicyValue(report), getCreditedPoints(report) + held), {
+      reason,
+      actor
+    });
+  }
+  if (!reason) return 0;
+
+  await report.save();
+  if (amount !== 0) {
+    await notifyPointsChange(report, amount, reason);
+  }
+  return amount;
+};
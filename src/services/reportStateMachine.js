@@ -0,0 +1,90 @@
+import ErrorHandler from "../middleware/error.js";
+import { recordStatusEvent } from "./reportTimelineService.js";
+import { applyOutcomePoints } from "./reportPointsService.js";
+
+// Allowed report status transitions: from -> to -> roles that may perform it
+// and the fields that must accompany it. Anything not listed is rejected.
+export const REPORT_TRANSITIONS = {
+  'needs-review': {
+    'pending': { roles: ['admin'] },
+    'discarded': { roles: ['admin'], requires: ['reason'] },
+    'duplicate': { roles: ['admin'] }
+  },
+  'pending': {
+    'in-progress': { roles: ['supervisor', 'admin'] },
+    'out-of-scope': { roles: ['supervisor'], requires: ['reason'] },
+    'duplicate': { roles: ['admin'] }
+  },
+  'in-progress': {
+    'resolved': { roles: ['supervisor'], requires: ['image'] },
+    'duplicate': { roles: ['admin'] }
+  },
+  'resolved': {
+    'permanent-resolved': { roles: ['admin'] },
+    'rejected': { roles: ['admin'], requires: ['reason'] },
+    'disputed': { roles: ['user'], requires: ['image'] }
+  },
+  // Rejected resolutions go back to the field for rework
+  'rejected': {
+    'in-progress': { roles: ['supervisor', 'admin'] },
+    'resolved': { roles: ['supervisor'], requires: ['image'] }
+  },
+  'duplicate': {
+    'pending': { roles: ['admin'] },
+    'needs-review': { roles: ['admin'] }
+  },
+  // Admin either reopens the work or confirms the original resolution
+  'disputed': {
+    'in-progress': { roles: ['admin'] },
+    'resolved': { roles: ['admin'] },
+    'permanent-resolved': { roles: ['admin'] }
+  },
+  'discarded': {},
+  'out-of-scope': {},
+  'permanent-resolved': {
+    'disputed': { roles: ['user'], requires: ['image'] }
+  }
+};
+
+// Throws a 409 when `actor` may not move the report to `to`, or a 400 when a
+// required field is missing from `details`
+export const assertTransition = (report, to, actor, details = {}) => {
+  // Own properties only, so statuses like "constructor" are rejected too
+  const fromRules = Object.hasOwn(REPORT_TRANSITIONS, report.status)
+    ? REPORT_TRANSITIONS[report.status]
+    : {};
+  const rule = Object.hasOwn(fromRules, to) ? fromRules[to] : undefined;
+
+  if (!rule || !rule.roles.includes(actor.role)) {
+    throw new ErrorHandler(
+      `Cannot move report from ${report.status} to ${to} as ${actor.role}`,
+      409,
+      'INVALID_TRANSITION'
+    );
+  }
+
+  const missing = (rule.requires || []).filter(field => !details[field]);
+  if (missing.length > 0) {
+    throw new ErrorHandler(
+      `${missing.join(', ')} required to move report to ${to}`,
+      400,
+      'MISSING_FIELDS'
+    );
+  }
+};
+
+// Validate, apply and log a status change. Set any status-specific fields on
+// the report before calling; they are saved together with the new status.
+export const transitionReport = async (report, to, { actor, details, note, location } = {}) => {
+  assertTransition(report, to, actor, details);
+
+  const from = report.status;
+  report.status = to;
+  await report.save();
+  await recordStatusEvent({ report, from, to, actor, note, location });
+
+  // Credit, bonus or claw back the reporter's points for the new status
+  await applyOutcomePoints(report, to, actor);
+
+  return report;
+};
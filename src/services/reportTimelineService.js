@@ -0,0 +1,21 @@
+import ReportEvent from "../models/ReportEvent.js";
+
+// Append a status change to the report's timeline. `actor` is the user making
+// the change (omit for automated changes).
+export const recordStatusEvent = ({ report, from, to, actor, note, location }) => {
+  return ReportEvent.create({
+    report: report._id,
+    fromStatus: from,
+    toStatus: to,
+    actor: actor?._id,
+    role: actor?.role || 'system',
+    note,
+    location
+  });
+};
+
+export const getReportTimeline = (reportId) => {
+  return ReportEvent.find({ report: reportId })
+    .sort({ createdAt: 1 })
+    .populate('actor', 'username profileImage role');
+};
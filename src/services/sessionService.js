@@ -0,0 +1,102 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+import ErrorHandler from "../middleware/error.js";
+
+// Matches the Session.client enum
+export const SESSION_CLIENTS = ['mobile', 'web'];
+
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+// Rotated-out secrets remembered per session for reuse detection
+const MAX_PREVIOUS_HASHES = 10;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Where the request came from, as recorded on the session
+const describeRequest = (req) => ({
+  device: (req.body?.device || req.get('user-agent') || 'unknown').slice(0, 200),
+  ip: req.ip
+});
+
+export const createSession = async (user, { client, req }) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashSecret(secret),
+    tokenVersion: user.tokenVersion || 0,
+    client,
+    ...describeRequest(req),
+    expiresAt: refreshExpiry()
+  });
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+const invalidRefreshToken = () =>
+  new ErrorHandler("Invalid refresh token. Please login again.", 401, 'INVALID_REFRESH_TOKEN');
+
+// Exchange a refresh token for a new one. A secret that was already rotated
+// out means the token was copied: the whole session is revoked.
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    throw invalidRefreshToken();
+  }
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash +previousTokenHashes');
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    throw invalidRefreshToken();
+  }
+
+  const presentedHash = hashSecret(secret);
+  if (session.previousTokenHashes.includes(presentedHash)) {
+    await revokeSession(session, 'reuse_detected');
+    console.warn(`Refresh token reuse detected for session ${session._id} (user ${session.user})`);
+    throw new ErrorHandler("Refresh token was already used. Please login again.", 401, 'REFRESH_TOKEN_REUSED');
+  }
+  if (presentedHash !== session.refreshTokenHash) {
+    throw invalidRefreshToken();
+  }
+
+  const user = await User.findById(session.user).select('+tokenVersion');
+  if (!user || (user.tokenVersion || 0) !== session.tokenVersion) {
+    await revokeSession(session, 'password_changed');
+    throw invalidRefreshToken();
+  }
+
+  const nextSecret = newSecret();
+  session.previousTokenHashes = [...session.previousTokenHashes, session.refreshTokenHash].slice(-MAX_PREVIOUS_HASHES);
+  session.refreshTokenHash = hashSecret(nextSecret);
+  session.lastUsedAt = new Date();
+  session.expiresAt = refreshExpiry();
+  session.ip = req.ip;
+  await session.save();
+
+  return { session, user, refreshToken: `${session._id}.${nextSecret}` };
+};
+
+export const revokeSession = async (session, reason = 'revoked') => {
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  await session.save();
+};
+
+export const listActiveSessions = (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Sign out every other device
+export const revokeOtherSessions = (userId, currentSessionId) => {
+  return Session.updateMany(
+    { user: userId, _id: { $ne: currentSessionId }, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: 'revoked' }
+  );
+};
@@ -0,0 +1,52 @@
+import cloudinary from '../../lib/cloudinary.js';
+
+const cloudinaryProvider = {
+  name: "cloudinary",
+
+  async upload(buffer, { folder }) {
+    const uploadResponse = await cloudinary.uploader.upload(
+      `data:image/jpeg;base64,${buffer.toString('base64')}`,
+      {
+        resource_type: 'image',
+        folder,
+        format: 'jpg'
+      }
+    );
+    return {
+      url: uploadResponse.secure_url,
+      publicId: uploadResponse.public_id
+    };
+  },
+
+  async destroy(publicId) {
+    await cloudinary.uploader.destroy(publicId);
+  },
+
+  url(publicId) {
+    return cloudinary.url(publicId, { secure: true, format: 'jpg' });
+  },
+
+  async list(folder) {
+    const items = [];
+    let nextCursor;
+    do {
+      const response = await cloudinary.api.resources({
+        type: 'upload',
+        resource_type: 'image',
+        prefix: `${folder}/`,
+        max_results: 500,
+        next_cursor: nextCursor
+      });
+      for (const resource of response.resources) {
+        items.push({
+          publicId: resource.public_id,
+          createdAt: new Date(resource.created_at)
+        });
+      }
+      nextCursor = response.next_cursor;
+    } while (nextCursor);
+    return items;
+  }
+};
+
+export default cloudinaryProvider;
@@ -0,0 +1,20 @@
+import cloudinaryProvider from './cloudinaryProvider.js';
+import s3Provider from './s3Provider.js';
+import localProvider from './localProvider.js';
+
+const providers = {
+  [cloudinaryProvider.name]: cloudinaryProvider,
+  [s3Provider.name]: s3Provider,
+  [localProvider.name]: localProvider
+};
+
+// Selected with STORAGE_PROVIDER (cloudinary | s3 | local)
+export const getStorageProvider = () => {
+  const name = process.env.STORAGE_PROVIDER || cloudinaryProvider.name;
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`UNKNOWN_PROVIDER: ${name}`);
+  }
+  return provider;
+};
@@ -0,0 +1,65 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+// Local filesystem storage for offline development and single-server installs.
+// Files are served by index.js under /uploads.
+export const LOCAL_STORAGE_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || 'uploads');
+
+const getPublicBaseUrl = () => {
+  if (process.env.LOCAL_STORAGE_URL) return process.env.LOCAL_STORAGE_URL.replace(/\/$/, '');
+  return `${(process.env.API_URL || '').replace(/\/$/, '')}/uploads`;
+};
+
+// Keep ids inside the storage directory
+const resolveFile = (publicId) => {
+  const filePath = path.resolve(LOCAL_STORAGE_DIR, publicId);
+  if (!filePath.startsWith(LOCAL_STORAGE_DIR + path.sep)) {
+    throw new Error(`Invalid storage id: ${publicId}`);
+  }
+  return filePath;
+};
+
+const localProvider = {
+  name: "local",
+
+  async upload(buffer, { folder }) {
+    const key = `${folder}/${randomUUID()}.jpg`;
+    const filePath = resolveFile(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return {
+      url: localProvider.url(key),
+      publicId: key
+    };
+  },
+
+  async destroy(publicId) {
+    try {
+      await fs.unlink(resolveFile(publicId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  },
+
+  url(publicId) {
+    return `${getPublicBaseUrl()}/${publicId}`;
+  },
+
+  async list(folder) {
+    let entries;
+    try {
+      entries = await fs.readdir(resolveFile(folder));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return Promise.all(entries.map(async (entry) => {
+      const publicId = `${folder}/${entry}`;
+      const stats = await fs.stat(resolveFile(publicId));
+      return { publicId, createdAt: stats.mtime };
+    }));
+  }
+};
+
+export default localProvider;
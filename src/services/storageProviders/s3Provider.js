@@ -0,0 +1,79 @@
+import { S3Client, PutObjectCommand, DeleteObjectCommand, ListObjectsV2Command } from '@aws-sdk/client-s3';
+import { randomUUID } from 'crypto';
+
+// Any S3-compatible store. Set S3_ENDPOINT for MinIO and other self-hosted
+// servers; S3_PUBLIC_URL is the base URL objects are served from.
+let client;
+const getClient = () => {
+  if (!client) {
+    client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+      credentials: {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
+    });
+  }
+  return client;
+};
+
+const getPublicBaseUrl = () => {
+  if (process.env.S3_PUBLIC_URL) return process.env.S3_PUBLIC_URL.replace(/\/$/, '');
+  if (process.env.S3_ENDPOINT) {
+    return `${process.env.S3_ENDPOINT.replace(/\/$/, '')}/${process.env.S3_BUCKET}`;
+  }
+  return `https://${process.env.S3_BUCKET}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`;
+};
+
+const s3Provider = {
+  name: "s3",
+
+  async upload(buffer, { folder }) {
+    const key = `${folder}/${randomUUID()}.jpg`;
+    await getClient().send(new PutObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: key,
+      Body: buffer,
+      ContentType: 'image/jpeg'
+    }));
+    return {
+      url: s3Provider.url(key),
+      publicId: key
+    };
+  },
+
+  async destroy(publicId) {
+    await getClient().send(new DeleteObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: publicId
+    }));
+  },
+
+  url(publicId) {
+    return `${getPublicBaseUrl()}/${publicId}`;
+  },
+
+  async list(folder) {
+    const items = [];
+    let continuationToken;
+    do {
+      const response = await getClient().send(new ListObjectsV2Command({
+        Bucket: process.env.S3_BUCKET,
+        Prefix: `${folder}/`,
+        ContinuationToken: continuationToken
+      }));
+      for (const object of response.Contents || []) {
+        items.push({
+          publicId: object.Key,
+          createdAt: object.LastModified
+        });
+      }
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+    return items;
+  }
+};
+
+export default s3Provider;
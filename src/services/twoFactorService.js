@@ -0,0 +1,80 @@
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import ErrorHandler from "../middleware/error.js";
+import {
+  verifyTotp,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes
+} from "../utils/totp.js";
+import { verifyOtp } from "../utils/otp.js";
+
+// Roles that must have 2FA switched on (comma separated)
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || "admin")
+  .split(",")
+  .map(role => role.trim())
+  .filter(Boolean);
+
+const CHALLENGE_EXPIRE = "5m";
+// Keeps challenge tokens from being accepted anywhere else
+const CHALLENGE_AUDIENCE = "login-challenge";
+
+export const isTwoFactorRequired = (user) => REQUIRED_ROLES.includes(user.role);
+
+// Short-lived token standing in for a half-finished login. `purpose` is
+// 'verify' when the user has 2FA and must enter a code, or 'enroll' when
+// their role requires 2FA and they still have to set it up.
+export const createLoginChallenge = (user, client, purpose) => {
+  return jwt.sign(
+    {
+      userId: user._id,
+      client,
+      purpose: `2fa_${purpose}`,
+      tokenVersion: user.tokenVersion
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRE, audience: CHALLENGE_AUDIENCE }
+  );
+};
+
+export const verifyLoginChallenge = async (challengeToken, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+  } catch (error) {
+    throw new ErrorHandler("Login challenge expired. Please login again.", 401, "CHALLENGE_EXPIRED");
+  }
+  if (decoded.purpose !== `2fa_${purpose}`) {
+    throw new ErrorHandler("Invalid login challenge.", 401, "INVALID_CHALLENGE");
+  }
+
+  const user = await User.findById(decoded.userId)
+    .select("+tokenVersion +twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep");
+  if (!user || (user.tokenVersion || 0) !== (decoded.tokenVersion || 0)) {
+    throw new ErrorHandler("Login challenge expired. Please login again.", 401, "CHALLENGE_EXPIRED");
+  }
+  return { user, client: decoded.client };
+};
+
+// Check an authenticator code or a recovery code. Used recovery codes and
+// the code's time step are consumed; the caller saves the user.
+export const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const index = user.twoFactorRecoveryCodes.findIndex(hash => verifyOtp(recoveryCode, hash));
+    if (index === -1) return false;
+    user.twoFactorRecoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), code, user.twoFactorLastUsedStep ?? -1);
+  if (step === null) return false;
+  user.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// Fresh recovery codes: plain codes for the user, hashes stored on the account
+export const issueRecoveryCodes = (user) => {
+  const codes = generateRecoveryCodes();
+  user.twoFactorRecoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
@@ -0,0 +1,42 @@
+import fs from 'fs';
+import { calculateDistance } from './geo.js';
+
+// Named areas for regional leaderboards, loaded from a JSON file at
+// LEADERBOARD_AREAS_PATH: [{ "key": "gulshan", "name": "Gulshan", "center": [lng, lat], "radiusKm": 5 }].
+// Locations outside every named area fall into a grid cell of
+// AREA_GRID_DEGREES (default 0.1°, roughly 11 km).
+const loadAreas = () => {
+  if (!process.env.LEADERBOARD_AREAS_PATH) return [];
+  return JSON.parse(fs.readFileSync(process.env.LEADERBOARD_AREAS_PATH, 'utf8'));
+};
+
+export const AREAS = loadAreas();
+
+const GRID_DEGREES = Number(process.env.AREA_GRID_DEGREES) || 0.1;
+
+// Area key for a [lng, lat] pair: the closest named area containing it, or its grid cell
+export const getAreaForCoordinates = ([lng, lat]) => {
+  let closest = null;
+  for (const area of AREAS) {
+    const distance = calculateDistance(lat, lng, area.center[1], area.center[0]);
+    if (distance <= area.radiusKm * 1000 && (!closest || distance < closest.distance)) {
+      closest = { key: area.key, distance };
+    }
+  }
+  if (closest) return closest.key;
+
+  const cell = (value) => (Math.floor(value / GRID_DEGREES) * GRID_DEGREES).toFixed(2);
+  return `grid:${cell(lat)}:${cell(lng)}`;
+};
+
+// Only named areas and well-formed grid cells get a leaderboard, so the set
+// of boards (and the refresh job) can't grow with arbitrary input
+export const isValidArea = (area) => {
+  if (area === 'all' || AREAS.some(item => item.key === area)) return true;
+
+  const match = /^grid:(-?\d{1,2}\.\d{2}):(-?\d{1,3}\.\d{2})$/.exec(area);
+  if (!match) return false;
+  const [lat, lng] = [Number(match[1]), Number(match[2])];
+  const onGrid = (value) => Math.abs(value / GRID_DEGREES - Math.round(value / GRID_DEGREES)) < 1e-6;
+  return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && onGrid(lat) && onGrid(lng);
+};
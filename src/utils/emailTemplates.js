@@ -344,4 +344,232 @@ export const generateWelcomeTemplate = (username) => {
   </body>
   </html>
   `;
-};
\ No newline at end of file
+};
+// Points Change Notification Template
+const POINTS_REASON_TEXT = {
+  report_bonus: "Your report has been permanently resolved. Thank you for helping clean up your community!",
+  report_out_of_scope: "Your report was reviewed and found to be outside the area we can handle, so only part of its points were kept.",
+  report_rejected: "The resolution of your report was rejected, and its points were adjusted.",
+  report_spam: "Your report was marked as spam, so its points were removed."
+};
+
+export const generatePointsChangeTemplate = (username, { amount, reason, reportTitle }) => {
+  const earned = amount > 0;
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>GreenSnap Points Update</title>
+  </head>
+  <body style="margin:0; padding:0; background-color:#f2f2f2;">
+    <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="background-color:#f2f2f2; padding: 20px 0;">
+      <tr>
+        <td align="center">
+          <table width="600" cellpadding="0" cellspacing="0" role="presentation" style="background:#ffffff; border-radius:8px; overflow:hidden; font-family:Arial, sans-serif;">
+
+            <!-- Title -->
+            <tr>
+              <td style="padding: 30px 40px 10px; text-align:center;">
+                <h1 style="margin:0; font-size:24px; color:#2e7d32;">
+                  Points Update
+                </h1>
+              </td>
+            </tr>
+
+            <!-- Message -->
+            <tr>
+              <td style="padding: 0 40px 20px; font-size:16px; color:#333;">
+                <p style="margin:0;">Hello, ${username},</p>
+                <p style="margin:10px 0 0;">
+                  ${POINTS_REASON_TEXT[reason] || "The points for one of your reports were adjusted."}
+                </p>
+                ${reportTitle ? `<p style="margin:10px 0 0; color:#666;">Report: <strong>${reportTitle}</strong></p>` : ""}
+              </td>
+            </tr>
+
+            <!-- Amount Display -->
+            <tr>
+              <td align="center" style="padding: 0 40px 30px;">
+                <div style="display:inline-block; font-size:32px; font-weight:bold; color:${earned ? "#2e7d32" : "#c62828"}; padding:15px 25px; border:2px dashed ${earned ? "#2e7d32" : "#c62828"}; border-radius:6px;">
+                  ${earned ? "+" : ""}${amount} points
+                </div>
+              </td>
+            </tr>
+
+            <!-- Footer -->
+            <tr>
+              <td style="background-color:#f9f9f9; padding:20px 40px; font-size:12px; color:#999; text-align:center;">
+                <p style="margin:0;">
+                  © ${new Date().getFullYear()} GreenSnap, Inc. All rights reserved.
+                </p>
+                <p style="margin:8px 0 0;">
+                  If you have any questions, feel free to contact us at
+                  <a href="mailto:greensnapofficial@gmail.com">greensnapofficial@gmail.com</a>
+                </p>
+              </td>
+            </tr>
+
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+  </html>
+  `;
+};
+
+// Admin Account Locked Template
+const LOCKOUT_ACTION_TEXT = {
+  login: "signing in",
+  login_2fa: "entering a two-factor code",
+  verify_otp: "entering an account verification code",
+  verify_reset_otp: "entering a password reset code"
+};
+
+export const generateAccountLockedTemplate = (username, { lockedEmail, action, ip, minutes }) => {
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>GreenSnap Admin Account Locked</title>
+  </head>
+  <body style="margin:0; padding:0; background-color:#f2f2f2;">
+    <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="background-color:#f2f2f2; padding: 20px 0;">
+      <tr>
+        <td align="center">
+          <table width="600" cellpadding="0" cellspacing="0" role="presentation" style="background:#ffffff; border-radius:8px; overflow:hidden; font-family:Arial, sans-serif;">
+
+            <!-- Title -->
+            <tr>
+              <td style="padding: 30px 40px 10px; text-align:center;">
+                <h1 style="margin:0; font-size:24px; color:#c62828;">
+                  Admin Account Locked
+                </h1>
+              </td>
+            </tr>
+
+            <!-- Message -->
+            <tr>
+              <td style="padding: 0 40px 20px; font-size:16px; color:#333;">
+                <p style="margin:0;">Hello, ${username},</p>
+                <p style="margin:10px 0 0;">
+                  The admin account <strong>${lockedEmail}</strong> has been locked for ${minutes} minutes after repeated failed attempts at ${LOCKOUT_ACTION_TEXT[action] || "authenticating"}.
+                </p>
+                <p style="margin:10px 0 0; color:#666;">
+                  Last attempt from IP address: <strong>${ip || "unknown"}</strong>
+                </p>
+              </td>
+            </tr>
+
+            <!-- Advice -->
+            <tr>
+              <td style="padding: 0 40px 20px; font-size:14px; color:#666;">
+                If these attempts weren't made by the account owner, review the account's active sessions and consider resetting its password.
+              </td>
+            </tr>
+
+            <!-- Footer -->
+            <tr>
+              <td style="background-color:#f9f9f9; padding:20px 40px; font-size:12px; color:#999; text-align:center;">
+                <p style="margin:0;">
+                  © ${new Date().getFullYear()} GreenSnap, Inc. All rights reserved.
+                </p>
+              </td>
+            </tr>
+
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+  </html>
+  `;
+};
+
+// Staff Invitation Template
+export const generateInvitationTemplate = (link, { role, inviterName, expiresAt }) => {
+  const roleName = role === "admin" ? "an admin" : "a supervisor";
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>GreenSnap Invitation</title>
+  </head>
+  <body style="margin:0; padding:0; background-color:#f2f2f2;">
+    <table width="100%" cellpadding="0" cellspacing="0" role="presentation" style="background-color:#f2f2f2; padding: 20px 0;">
+      <tr>
+        <td align="center">
+          <table width="600" cellpadding="0" cellspacing="0" role="presentation" style="background:#ffffff; border-radius:8px; overflow:hidden; font-family:Arial, sans-serif;">
+
+            <!-- Inline SVG Logo -->
+            <tr>
+              <td align="center" style="padding: 30px 0 10px;">
+                <svg width="80" height="80" viewBox="0 0 100 100" xmlns="http://www.w3.org/2000/svg">
+                  <circle cx="50" cy="50" r="48" fill="#2e7d32" />
+                  <path d="M50 20 C65 20, 80 35, 50 80 C20 35, 35 20, 50 20 Z" fill="#a5d6a7"/>
+                </svg>
+              </td>
+            </tr>
+
+            <!-- Title -->
+            <tr>
+              <td style="padding: 0 40px 10px; text-align:center;">
+                <h1 style="margin:0; font-size:24px; color:#2e7d32;">
+                  You're Invited to GreenSnap
+                </h1>
+              </td>
+            </tr>
+
+            <!-- Message -->
+            <tr>
+              <td style="padding: 0 40px 20px; font-size:16px; color:#333;">
+                <p style="margin:0;">Hello,</p>
+                <p style="margin:10px 0 0;">
+                  ${inviterName ? `<strong>${inviterName}</strong> has invited you` : "You have been invited"} to join <strong>GreenSnap</strong> as ${roleName}. Click the button below to choose your username and password.
+                </p>
+              </td>
+            </tr>
+
+            <!-- Button -->
+            <tr>
+              <td align="center" style="padding: 0 40px 30px;">
+                <a href="${link}" style="display:inline-block; background-color:#2e7d32; color:#ffffff; font-size:16px; font-weight:bold; text-decoration:none; padding:14px 28px; border-radius:6px;">
+                  Accept Invitation
+                </a>
+              </td>
+            </tr>
+
+            <!-- Expiry Notice -->
+            <tr>
+              <td style="padding: 0 40px 20px; font-size:14px; color:#666;">
+                This link can only be used once and expires on <strong>${new Date(expiresAt).toUTCString()}</strong>. If you weren't expecting this invitation, simply ignore this email.
+              </td>
+            </tr>
+
+            <!-- Footer -->
+            <tr>
+              <td style="background-color:#f9f9f9; padding:20px 40px; font-size:12px; color:#999; text-align:center;">
+                <p style="margin:0;">
+                  © ${new Date().getFullYear()} GreenSnap, Inc. All rights reserved.
+                </p>
+                <p style="margin:8px 0 0;">
+                  If you have any questions, feel free to contact us at
+                  <a href="mailto:greensnapofficial@gmail.com">greensnapofficial@gmail.com</a>
+                </p>
+              </td>
+            </tr>
+
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+  </html>
+  `;
+};
@@ -0,0 +1,30 @@
+import { calculateDistance } from './geo.js';
+
+// How far (meters) the resolution photo may be taken from the reported
+// location, per report type. Large dumps cover more ground.
+// Override with GEOFENCE_TOLERANCE_STANDARD / _HAZARDOUS / _LARGE.
+const DEFAULT_TOLERANCE_METERS = {
+  standard: 10,
+  hazardous: 10,
+  large: 30
+};
+
+export const getGeofenceTolerance = (reportType = 'standard') => {
+  const override = Number(process.env[`GEOFENCE_TOLERANCE_${reportType.toUpperCase()}`]);
+  return override || DEFAULT_TOLERANCE_METERS[reportType] || DEFAULT_TOLERANCE_METERS.standard;
+};
+
+// 'block' rejects out-of-tolerance resolutions, 'warn' accepts and flags them
+export const getGeofenceMode = () => process.env.GEOFENCE_MODE === 'warn' ? 'warn' : 'block';
+
+// Distance between the reported and resolved points and whether it is within tolerance
+export const checkGeofence = (report, [resolvedLng, resolvedLat]) => {
+  const [reportedLng, reportedLat] = report.location.coordinates;
+  const distance = calculateDistance(reportedLat, reportedLng, resolvedLat, resolvedLng);
+  const tolerance = getGeofenceTolerance(report.reportType);
+  return {
+    distance,
+    tolerance,
+    withinTolerance: distance <= tolerance
+  };
+};
@@ -0,0 +1,34 @@
+import sharp from 'sharp';
+
+// Perceptual difference hash (dHash): shrink to 9x8 greyscale and record whether
+// each pixel is brighter than its right-hand neighbour. Near-identical photos
+// of the same scene end up a few bits apart.
+export const computeImageHash = async (buffer) => {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let bits = '';
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      bits += left > right ? '1' : '0';
+    }
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+};
+
+// Number of differing bits between two hex hashes
+export const hammingDistance = (hashA, hashB) => {
+  let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
@@ -0,0 +1,29 @@
+import crypto from "crypto";
+
+// Shared helper for every one-time code the system issues (account
+// verification, password reset, 2FA recovery codes). Codes come from a
+// CSPRNG and only a keyed hash is stored: a plain hash of a 5-digit code
+// could be reversed by trying all 90,000 values.
+const hashKey = () => process.env.OTP_HASH_SECRET || process.env.JWT_SECRET || "";
+
+const normalize = (code) => String(code ?? "").replace(/[\s-]/g, "").toLowerCase();
+
+// Numeric code with a non-zero first digit, e.g. 5 digits -> 10000..99999
+export const generateNumericOtp = (digits = 5) =>
+  String(crypto.randomInt(10 ** (digits - 1), 10 ** digits));
+
+export const hashOtp = (code) =>
+  crypto.createHmac("sha256", hashKey()).update(normalize(code)).digest("hex");
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+// Constant-time check of a submitted code against a stored hash. Values
+// stored before codes were hashed (plain numbers) are still accepted until
+// they expire or scripts/migrateOtpHashes.js converts them.
+export const verifyOtp = (code, stored) => {
+  if (stored === undefined || stored === null || stored === "" || !normalize(code)) return false;
+
+  const expected = HASH_PATTERN.test(String(stored)) ? String(stored) : hashOtp(stored);
+  const actual = hashOtp(code);
+  return crypto.timingSafeEqual(Buffer.from(actual, "hex"), Buffer.from(expected, "hex"));
+};
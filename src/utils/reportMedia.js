@@ -0,0 +1,69 @@
+import { uploadImage, deleteImage } from '../services/mediaStorage.js';
+
+// Photos accepted per report or resolution
+export const MAX_REPORT_PHOTOS = 5;
+export const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+
+// Normalise the request body into an ordered list of photos. Clients send
+// either `images` (base64 strings or { image, photoTimestamp } objects) or the
+// legacy single `image`; `photoTimestamp` is the fallback capture time.
+export const normalizePhotos = ({ image, images, photoTimestamp }) => {
+  const list = Array.isArray(images) && images.length > 0
+    ? images
+    : (image ? [image] : []);
+
+  return list.map(photo => {
+    const data = typeof photo === 'string' ? photo : photo?.image;
+    const base64Data = (data || '').replace(/^data:image\/\w+;base64,/, '');
+    return {
+      image: data,
+      base64Data,
+      buffer: Buffer.from(base64Data, 'base64'),
+      photoTimestamp: (typeof photo === 'object' && photo?.photoTimestamp) || photoTimestamp
+    };
+  });
+};
+
+// Returns a { message, code } error for the first invalid photo, if any
+export const validatePhotos = (photos) => {
+  if (photos.length > MAX_REPORT_PHOTOS) {
+    return {
+      status: 400,
+      message: `Too many images (max ${MAX_REPORT_PHOTOS})`,
+      code: 'TOO_MANY_IMAGES'
+    };
+  }
+  for (const photo of photos) {
+    if (!photo.image || !/^(data:image\/\w+;base64,)?[A-Za-z0-9+/=]+$/.test(photo.image)) {
+      return { status: 400, message: 'Invalid image format', code: 'INVALID_IMAGE_FORMAT' };
+    }
+    if (photo.buffer.length > MAX_PHOTO_BYTES) {
+      return { status: 413, message: 'Image too large (max 5MB)', code: 'IMAGE_TOO_LARGE' };
+    }
+  }
+  return null;
+};
+
+// Upload photos in order and return their media entries; `describe(photo, index)`
+// adds per-photo fields. If one upload fails, the photos already stored are
+// deleted and the storage error (STORAGE_TIMEOUT / STORAGE_ERROR) is rethrown.
+export const uploadPhotos = async (photos, { folder, describe = () => ({}) }) => {
+  const media = [];
+  try {
+    for (const [index, photo] of photos.entries()) {
+      const stored = await uploadImage(photo.base64Data, { folder });
+      media.push({
+        url: stored.url,
+        publicId: stored.publicId,
+        photoTimestamp: photo.photoTimestamp ? new Date(photo.photoTimestamp) : new Date(),
+        ...describe(photo, index)
+      });
+    }
+  } catch (uploadError) {
+    for (const item of media) {
+      deleteImage(item.publicId).catch(() => {});
+    }
+    throw uploadError;
+  }
+  return media;
+};
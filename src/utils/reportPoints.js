@@ -0,0 +1,23 @@
+// Points credited to a citizen per report type
+export const REPORT_POINTS = {
+  standard: 10,
+  hazardous: 20,
+  large: 15
+};
+
+export const getReportPoints = (reportType) => REPORT_POINTS[reportType] || 10;
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && !isNaN(value) ? value : fallback;
+};
+
+// What a report outcome does to the reporter's points. `bonus` is added once,
+// `deduct` is the share of the report's value taken back. `spam` applies
+// instead of the status policy when a report is marked as spam.
+export const POINT_POLICIES = {
+  'permanent-resolved': { bonus: envNumber('POINTS_BONUS_PERMANENT_RESOLVED', 5) },
+  'out-of-scope': { deduct: envNumber('POINTS_DEDUCT_OUT_OF_SCOPE', 0.5) },
+  'rejected': { deduct: envNumber('POINTS_DEDUCT_REJECTED', 0) },
+  spam: { deduct: envNumber('POINTS_DEDUCT_SPAM', 1) }
+};
@@ -1,13 +1,31 @@
-export const sendToken = (user, statusCode, message, res) => {
-  const token = user.generateToken();
+import { createSession } from "../services/sessionService.js";
+
+// Cookie scope for the refresh token: only the auth routes ever need it
+export const REFRESH_COOKIE_PATH = "/api/auth";
+
+const cookieOptions = (expires) => {
   const isProduction = process.env.NODE_ENV === 'production';
-  
-  const cookieOptions = {
-    expires: new Date(Date.now() + process.env.COOKIE_EXPIRE * 24 * 60 * 60 * 1000),
+  return {
+    expires,
     httpOnly: true,
     secure: isProduction,
     sameSite: isProduction ? "none" : "lax"
   };
+};
+
+// Credentials that may have been selected for the login checks
+const PRIVATE_FIELDS = ['password', 'twoFactorSecret', 'twoFactorPendingSecret', 'twoFactorRecoveryCodes', 'twoFactorLastUsedStep'];
+
+const publicUserFields = (user) => {
+  const fields = { ...user._doc };
+  for (const field of PRIVATE_FIELDS) delete fields[field];
+  return fields;
+};
+
+// Respond with an access token for the session and its current refresh token.
+// Web clients get both as cookies; mobile clients read them from the body.
+export const sendSessionTokens = (user, session, refreshToken, statusCode, message, res, extra = {}) => {
+  const token = user.generateToken(session._id);
 
   // Include role in response
   const userData = {
@@ -20,15 +38,29 @@ export const sendToken = (user, statusCode, message, res) => {
 
   res
     .status(statusCode)
-    .cookie("token", token, cookieOptions)
+    .cookie("token", token, cookieOptions(new Date(Date.now() + process.env.COOKIE_EXPIRE * 24 * 60 * 60 * 1000)))
+    .cookie("refreshToken", refreshToken, {
+      ...cookieOptions(session.expiresAt),
+      path: REFRESH_COOKIE_PATH
+    })
     .json({
       success: true,
       // user: userData,
        user: {
-        ...user._doc,
+        ...publicUserFields(user),
         createdAt: user.createdAt, // Ensure createdAt is included
       },
       message,
       token,
+      refreshToken,
+      sessionId: session._id,
+      ...extra
     });
-};
\ No newline at end of file
+};
+
+// Start a new session for the user and send its tokens. Call only once the
+// user has passed every login factor.
+export const sendToken = async (user, statusCode, message, res, { req, client, extra } = {}) => {
+  const { session, refreshToken } = await createSession(user, { client, req });
+  sendSessionTokens(user, session, refreshToken, statusCode, message, res, extra);
+};
@@ -0,0 +1,102 @@
+import crypto from "crypto";
+import { hashOtp } from "./otp.js";
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 s steps), as
+// used by Google Authenticator, Authy and similar apps
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = "";
+  for (const char of input.replace(/=+$/, "").toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error("Invalid base32 secret");
+    bits += value.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return (binary % 10 ** DIGITS).toString().padStart(DIGITS, "0");
+};
+
+export const currentTotpStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// Returns the matching time step (one step of clock drift allowed either
+// way), or null. Steps at or before `lastUsedStep` are rejected so a code
+// can't be replayed.
+export const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const now = currentTotpStep();
+  for (const step of [now - 1, now, now + 1]) {
+    if (step <= lastUsedStep) continue;
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+export const buildOtpauthUri = (secret, accountName, issuer = process.env.TOTP_ISSUER || "GreenSnap") => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// Secrets are stored encrypted (AES-256-GCM) with TWO_FACTOR_ENCRYPTION_KEY
+const encryptionKey = () =>
+  crypto.createHash("sha256").update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || "").digest();
+
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString("base64")).join(".");
+};
+
+export const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(".").map(part => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+// One-time recovery codes: shown to the user once, stored hashed like every other OTP
+export const hashRecoveryCode = hashOtp;
+
+export const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
@@ -0,0 +1,69 @@
+import fs from 'fs';
+
+// Waste categories the classifier's detections map onto. A detection matches
+// a category by class id or by label name. `reportType` is what the category
+// suggests to the citizen. Replace the whole list with a JSON file at
+// WASTE_TAXONOMY_PATH to match a different model's classes.
+const DEFAULT_TAXONOMY = [
+  { key: 'general', label: 'General waste', reportType: 'standard', classIds: [1], labels: ['waste', 'garbage', 'trash', 'litter'] },
+  { key: 'plastic', label: 'Plastic', reportType: 'standard', classIds: [], labels: ['plastic', 'plastic_bag', 'bottle'] },
+  { key: 'organic', label: 'Organic', reportType: 'standard', classIds: [], labels: ['organic', 'food_waste', 'green_waste'] },
+  { key: 'construction_debris', label: 'Construction debris', reportType: 'large', classIds: [], labels: ['construction_debris', 'debris', 'rubble'] },
+  { key: 'bulky', label: 'Bulky items', reportType: 'large', classIds: [], labels: ['bulky', 'furniture', 'mattress'] },
+  { key: 'e_waste', label: 'E-waste', reportType: 'hazardous', classIds: [], labels: ['e_waste', 'electronics', 'battery'] },
+  { key: 'medical', label: 'Medical waste', reportType: 'hazardous', classIds: [], labels: ['medical', 'medical_waste', 'syringe'] },
+  { key: 'dead_animal', label: 'Dead animal', reportType: 'hazardous', classIds: [], labels: ['dead_animal', 'carcass'] }
+];
+
+// Most severe report type wins when a photo shows several categories
+const REPORT_TYPE_SEVERITY = ['standard', 'large', 'hazardous'];
+
+const loadTaxonomy = () => {
+  if (!process.env.WASTE_TAXONOMY_PATH) return DEFAULT_TAXONOMY;
+  return JSON.parse(fs.readFileSync(process.env.WASTE_TAXONOMY_PATH, 'utf8'));
+};
+
+export const WASTE_TAXONOMY = loadTaxonomy();
+
+export const WASTE_CATEGORIES = WASTE_TAXONOMY.map(category => category.key);
+
+const normalizeLabel = (name = '') => name.toLowerCase().trim().replace(/[\s-]+/g, '_');
+
+// Category key for a single detection, or null for non-waste classes
+export const getDetectionCategory = (detection) => {
+  const label = normalizeLabel(detection.name);
+  const match = WASTE_TAXONOMY.find(category =>
+    category.classIds?.includes(detection.class) || category.labels?.includes(label)
+  );
+  return match?.key || null;
+};
+
+export const getCategoryReportType = (categoryKey) =>
+  WASTE_TAXONOMY.find(category => category.key === categoryKey)?.reportType || 'standard';
+
+// Per-category summary of waste detections plus the suggested category and
+// report type. The suggested category is the most confident one within the
+// most severe report type.
+export const summarizeCategories = (detections, minConfidence = 0) => {
+  const byCategory = new Map();
+  for (const detection of detections) {
+    if (!detection.category || detection.confidence < minConfidence) continue;
+    const entry = byCategory.get(detection.category) || { category: detection.category, confidence: 0, count: 0 };
+    entry.confidence = Math.max(entry.confidence, detection.confidence);
+    entry.count += 1;
+    byCategory.set(detection.category, entry);
+  }
+
+  const categories = [...byCategory.values()]
+    .map(entry => ({ ...entry, reportType: getCategoryReportType(entry.category) }))
+    .sort((a, b) =>
+      REPORT_TYPE_SEVERITY.indexOf(b.reportType) - REPORT_TYPE_SEVERITY.indexOf(a.reportType)
+      || b.confidence - a.confidence
+    );
+
+  return {
+    categories,
+    suggestedCategory: categories[0]?.category || null,
+    suggestedReportType: categories[0]?.reportType || null
+  };
+};